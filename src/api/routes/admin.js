@@ -8,13 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const cache = require('../cache/redis-client');
-
-// Helper to compute item count for manifest-like objects
-function getItemCount(obj) {
-  if (!obj) return 0;
-  if (Array.isArray(obj)) return obj.length;
-  return obj.bands?.length || obj.events?.length || obj.stories?.length || obj.collections?.length || obj.items?.length || 0;
-}
+const { countManifestItems } = require('../../shared/manifest-items');
 
 /**
  * List cache keys with lightweight metadata
@@ -43,7 +37,7 @@ router.get('/cache', async (req, res) => {
           sizeBytes = json ? Buffer.byteLength(JSON.stringify(json), 'utf8') : 0;
         }
 
-        const itemCount = getItemCount(json);
+        const itemCount = countManifestItems(json);
         const ttlSeconds = await cache.ttl(key);
         items.push({ key, itemCount, sizeBytes, ttlSeconds, cached: !!json });
       } catch (err) {
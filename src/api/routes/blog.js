@@ -1,7 +1,7 @@
 /**
  * Blog Routes (v1)
  *
- * Provides minimal endpoints for blog posts and author login.
+ * Provides endpoints to create, read, edit and delete blog posts, their feeds and author login.
  * Storage: JSON file at src/images/blog/blog-posts.json
  * Auth: JWT via Authorization: Bearer <token>
  */
@@ -10,6 +10,24 @@ const express = require("express");
 const fs = require("fs").promises;
 const path = require("path");
 const jwt = require("jsonwebtoken");
+const etag = require("etag");
+const crypto = require("crypto");
+
+const { BLOG_FEED_CONFIG, renderBlogFeed } = require("../../shared/blog-feed");
+const { slugify } = require("../../shared/manifest-slugs");
+const {
+  BLOG_POST_STATUSES,
+  uniqueBlogSlug,
+  normalizeBlogPosts,
+  parseBlogPostFields,
+  applyBlogPostFields,
+  getBlogPostStatus,
+  isBlogPostDue,
+  isBlogPostPublic,
+  publicBlogPosts,
+  settleBlogPostStatus,
+  ifMatchSatisfied,
+} = require("../../shared/blog-posts");
 
 const router = express.Router();
 
@@ -70,6 +88,17 @@ function authMiddleware(req, res, next) {
     .json({ error: "Unauthorized", message: "Missing token" });
 }
 
+// Decoded token of a signed-in author, or null
+function readUser(req) {
+  const [scheme, token] = (req.headers["authorization"] || "").split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  try {
+    return jwt.verify(token, BLOG_JWT_SECRET);
+  } catch (_) {
+    return null;
+  }
+}
+
 // POST /api/v1/blog/auth/login
 router.post("/auth/login", async (req, res) => {
   const { username, password } = req.body || {};
@@ -102,47 +131,259 @@ router.post("/auth/login", async (req, res) => {
   });
 });
 
+// Posts with ids and unique slugs filled in (see src/shared/blog-posts.js)
+async function readPosts() {
+  return normalizeBlogPosts(await readJson(POSTS_PATH, { posts: [] }));
+}
+
+// Writes to blog-posts.json run one at a time, each reading the file afresh, so concurrent
+// edits to different posts cannot overwrite each other
+let postsWriteQueue = Promise.resolve();
+function withPostsLock(task) {
+  const run = postsWriteQueue.then(task);
+  postsWriteQueue = run.catch(() => {});
+  return run;
+}
+
+// Strong ETag of a stored post, for If-None-Match and If-Match
+function blogPostEtag(post) {
+  return etag(JSON.stringify(post));
+}
+
 // GET /api/v1/blog/posts
-router.get("/posts", async (req, res) => {
-  const data = await readJson(POSTS_PATH, { posts: [] });
-  return res.json(data);
+// Published posts for everyone; ?status=draft,scheduled,archived or ?status=all lists
+// unpublished posts for signed-in authors
+router.get("/posts", (req, res, next) => {
+  const requested = String(req.query.status || "published")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const statuses = requested.includes("all") ? BLOG_POST_STATUSES : requested;
+  const unknown = statuses.filter((s) => !BLOG_POST_STATUSES.includes(s));
+  if (unknown.length) {
+    return res.status(400).json({
+      error: "BadRequest",
+      message: `Unknown status: ${unknown.join(", ")}`,
+      statuses: BLOG_POST_STATUSES,
+    });
+  }
+  const authorOnly = statuses.some((s) => s !== "published");
+  const send = async () => {
+    const data = await readPosts();
+    const posts = authorOnly
+      ? data.posts.filter(
+          (p) => statuses.includes(getBlogPostStatus(p)) || (statuses.includes("published") && isBlogPostDue(p))
+        )
+      : publicBlogPosts(data.posts);
+    if (authorOnly) res.set("Cache-Control", "private, no-cache");
+    return res.json({ ...data, posts });
+  };
+  if (!authorOnly) return send().catch(next);
+  return authMiddleware(req, res, () => send().catch(next));
 });
 
-// POST /api/v1/blog/posts (auth required)
-router.post("/posts", authMiddleware, async (req, res) => {
-  const body = req.body || {};
-  const { title, excerpt, content, images } = body;
-  if (!title || !excerpt || !Array.isArray(content)) {
-    return res
-      .status(400)
-      .json({
-        error: "BadRequest",
-        message: "title, excerpt, and content[] required",
+// GET /api/v1/blog/posts/by-slug/:slug and /api/v1/blog/posts/:id
+// The ETag is what PUT/PATCH/DELETE expect in If-Match; unpublished posts are only found by
+// signed-in authors
+async function sendPost(req, res, key, value) {
+  const data = await readPosts();
+  const post = data.posts.find((p) => p[key] === value);
+  const isPublic = post && isBlogPostPublic(post);
+  if (!post || (!isPublic && !readUser(req))) {
+    return res.status(404).json({
+      error: "NotFound",
+      message: `No blog post with ${key}: ${value}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const etagValue = blogPostEtag(post);
+  res.set({ ETag: etagValue, "Cache-Control": isPublic ? "no-cache" : "private, no-cache" });
+  if (req.headers["if-none-match"] === etagValue) {
+    return res.status(304).end();
+  }
+  return res.json({ post });
+}
+
+router.get("/posts/by-slug/:slug", (req, res, next) =>
+  sendPost(req, res, "slug", req.params.slug).catch(next)
+);
+router.get("/posts/:id", (req, res, next) =>
+  sendPost(req, res, "id", req.params.id).catch(next)
+);
+
+// GET /api/v1/blog/feed.xml, /feed.atom, /feed.json
+// Rendered from the posts file on each request, so a new post shows up immediately
+for (const [file, feed] of Object.entries(BLOG_FEED_CONFIG.formats)) {
+  router.get(`/${file}`, async (req, res, next) => {
+    try {
+      const data = await readPosts();
+      const authors = (await readJson(AUTHORS_PATH, { authors: [] })).authors;
+      const body = renderBlogFeed(feed.format, publicBlogPosts(data.posts), {
+        siteUrl: process.env.SITE_URL || BLOG_FEED_CONFIG.siteUrl,
+        feedUrl: `${req.protocol}://${req.get("host")}${req.baseUrl}/${file}`,
+        authors,
       });
+      const etagValue = etag(body);
+      res.set({
+        "Content-Type": feed.contentType,
+        ETag: etagValue,
+        "Cache-Control": `public, max-age=${BLOG_FEED_CONFIG.clientTtlSeconds}, must-revalidate`,
+      });
+      if (req.headers["if-none-match"] === etagValue) {
+        return res.status(304).end();
+      }
+      return res.send(body);
+    } catch (err) {
+      return next(err);
+    }
+  });
+}
+
+function slugConflict(res, slug) {
+  return res
+    .status(409)
+    .json({ error: "Conflict", message: `Slug already in use: ${slug}` });
+}
+
+// POST /api/v1/blog/posts (auth required)
+router.post("/posts", authMiddleware, (req, res, next) =>
+  withPostsLock(() => createPost(req, res)).catch(next)
+);
+
+async function createPost(req, res) {
+  const parsed = parseBlogPostFields(req.body);
+  if (!parsed.ok) {
+    return res.status(400).json({ error: "BadRequest", message: parsed.message });
   }
 
+  const data = await readPosts();
+  const taken = new Set(data.posts.map((p) => p.slug));
+  if (parsed.fields.slug && taken.has(parsed.fields.slug)) {
+    return slugConflict(res, parsed.fields.slug);
+  }
+  // Posts are published straight away unless a status says otherwise
   const now = new Date();
-  const post = {
-    title: String(title),
-    author: req.user?.name || req.user?.username || "Unknown",
-    date: now.toISOString().split("T")[0],
-    excerpt: String(excerpt),
-    body: content.map(String),
-    ...(Array.isArray(images) && images.length > 0
-      ? {
-          images: images.map((img) => ({
-            src: String(img.src || ""),
-            alt: String(img.alt || ""),
-            caption: img.caption ? String(img.caption) : undefined,
-          })),
-        }
-      : {}),
-  };
+  const {
+    title,
+    excerpt,
+    body: content,
+    images,
+    slug,
+    status = "published",
+    publishAt = null,
+  } = parsed.fields;
+  const settled = settleBlogPostStatus(
+    applyBlogPostFields(
+      {
+        id: crypto.randomUUID(),
+        slug: slug || uniqueBlogSlug(slugify(title) || "post", taken),
+        title,
+        author: req.user?.name || req.user?.username || "Unknown",
+        date: now.toISOString().split("T")[0],
+        updatedAt: now.toISOString(),
+        status,
+        publishAt,
+        excerpt,
+        body: content,
+        images,
+      },
+      {}
+    ),
+    null,
+    now.getTime()
+  );
+  if (!settled.ok) {
+    return res.status(400).json({ error: "BadRequest", message: settled.message });
+  }
+  const { post } = settled;
 
-  const data = await readJson(POSTS_PATH, { posts: [] });
   data.posts.unshift(post); // prepend newest
   await writeJson(POSTS_PATH, data);
+  res.set("ETag", blogPostEtag(post));
   return res.status(201).json({ success: true, post });
-});
+}
+
+// PUT/PATCH/DELETE /api/v1/blog/posts/:id (auth required)
+// Edits need If-Match with the post's current ETag, so an author cannot overwrite a change
+// they have not seen (412 when the post changed since it was read)
+function changePost(req, res, change) {
+  return withPostsLock(() => applyPostChange(req, res, change));
+}
+
+async function applyPostChange(req, res, change) {
+  const ifMatch = req.headers["if-match"];
+  if (!ifMatch) {
+    return res.status(428).json({
+      error: "PreconditionRequired",
+      message: "If-Match with the post's ETag is required",
+    });
+  }
+  const data = await readPosts();
+  const index = data.posts.findIndex((p) => p.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({
+      error: "NotFound",
+      message: `No blog post with id: ${req.params.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const etagValue = blogPostEtag(data.posts[index]);
+  if (!ifMatchSatisfied(ifMatch, etagValue)) {
+    res.set("ETag", etagValue);
+    return res.status(412).json({
+      error: "PreconditionFailed",
+      message: "The post was changed since it was read; fetch it again",
+      post: data.posts[index],
+    });
+  }
+  const post = change(data, index);
+  if (res.headersSent) return undefined;
+  await writeJson(POSTS_PATH, data);
+  if (!post) {
+    return res.json({ success: true, id: req.params.id });
+  }
+  res.set("ETag", blogPostEtag(post));
+  return res.json({ success: true, post });
+}
+
+// PUT replaces title, excerpt, content[] and images[]; PATCH changes only the fields sent.
+// The slug only changes when `slug` is sent, so a retitled post keeps its URL.
+function updatePost(partial) {
+  return (req, res, next) =>
+    changePost(req, res, (data, index) => {
+      const parsed = parseBlogPostFields(req.body, { partial });
+      if (!parsed.ok) {
+        res.status(400).json({ error: "BadRequest", message: parsed.message });
+        return null;
+      }
+      const { slug } = parsed.fields;
+      if (slug && data.posts.some((p, i) => i !== index && p.slug === slug)) {
+        slugConflict(res, slug);
+        return null;
+      }
+      const settled = settleBlogPostStatus(
+        applyBlogPostFields(data.posts[index], {
+          ...parsed.fields,
+          updatedAt: new Date().toISOString(),
+        }),
+        data.posts[index]
+      );
+      if (!settled.ok) {
+        res.status(400).json({ error: "BadRequest", message: settled.message });
+        return null;
+      }
+      data.posts[index] = settled.post;
+      return settled.post;
+    }).catch(next);
+}
+
+router.put("/posts/:id", authMiddleware, updatePost(false));
+router.patch("/posts/:id", authMiddleware, updatePost(true));
+router.delete("/posts/:id", authMiddleware, (req, res, next) =>
+  changePost(req, res, (data, index) => {
+    data.posts.splice(index, 1);
+    return null;
+  }).catch(next)
+);
 
 module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Calendar Routes
+ *
+ * iCalendar (RFC 5545) feeds of dated concert, events and journalism shoots
+ * (see src/shared/calendar.js), for subscribing in any calendar app.
+ */
+
+const express = require('express');
+const router = express.Router();
+const etag = require('etag');
+
+const { CALENDAR_CONFIG, buildCalendarFeed } = require('../../shared/calendar');
+const { getCachedManifests } = require('../utils/manifest-store');
+
+/**
+ * Helper: Send the feed for the given types
+ */
+async function sendCalendar(req, res, types, name) {
+  const { sources, unavailable } = await getCachedManifests(types);
+  if (!sources.length) {
+    return res.status(502).json({
+      error: 'Bad Gateway',
+      message: 'No manifest for the calendar could be loaded',
+      unavailable,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const body = buildCalendarFeed(sources, { name, origin: `${req.protocol}://${req.get('host')}` });
+  const etagValue = etag(body);
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${types.length === 1 ? types[0] : 'calendar'}.ics"`,
+    'ETag': etagValue,
+    'Cache-Control': 'public, max-age=300, must-revalidate',
+  });
+  if (req.headers['if-none-match'] === etagValue) {
+    return res.status(304).end();
+  }
+  if (unavailable.length) {
+    res.set('X-Partial', 'true');
+  }
+  return res.send(body);
+}
+
+/**
+ * Feed of every calendar type
+ * GET /api/v1/calendar.ics
+ */
+router.get('/calendar.ics', async (req, res, next) => {
+  try {
+    await sendCalendar(req, res, CALENDAR_CONFIG.types, CALENDAR_CONFIG.name);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Feed of one type
+ * GET /api/v1/calendar/:type.ics
+ */
+router.get('/calendar/:type.ics', async (req, res, next) => {
+  const type = req.params.type.toLowerCase();
+  if (!CALENDAR_CONFIG.types.includes(type)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No calendar feed ${req.params.type}.ics`,
+      feeds: ['/api/v1/calendar.ics', ...CALENDAR_CONFIG.types.map((t) => `/api/v1/calendar/${t}.ics`)],
+      timestamp: new Date().toISOString(),
+    });
+  }
+  try {
+    await sendCalendar(req, res, [type], `${CALENDAR_CONFIG.name} – ${type.charAt(0).toUpperCase()}${type.slice(1)}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Item Routes
+ *
+ * Every portfolio item across manifest types in one normalized shape
+ * (see src/shared/manifest-items.js), for universal galleries.
+ */
+
+const express = require('express');
+const router = express.Router();
+const etag = require('etag');
+
+const { MANIFEST_TYPES } = require('../config/manifests');
+const { listParam, parseManifestQuery } = require('../../shared/manifest-query');
+const { resolveItemTypes, queryPortfolioItems } = require('../../shared/manifest-items');
+const { getCachedManifests } = require('../utils/manifest-store');
+const { getSearchParams } = require('../utils/request');
+
+/**
+ * List normalized items across manifests
+ * GET /api/v1/items
+ * Optional: ?type=concert,journalism&category=&limit=&cursor=&sort=date|name&order=&since=&until=&tag=&q=
+ * Aggregate manifests (featured, universal) are only included when named in `type`.
+ */
+router.get('/', async (req, res, next) => {
+  const searchParams = getSearchParams(req);
+  const parsed = parseManifestQuery(searchParams);
+  if (!parsed.ok) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: parsed.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { types, unknown } = resolveItemTypes(listParam(searchParams, 'type'), MANIFEST_TYPES);
+  if (unknown.length) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown manifest type: ${unknown.join(', ')}`,
+      availableTypes: MANIFEST_TYPES,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const { sources, unavailable } = await getCachedManifests(types);
+    const result = queryPortfolioItems(sources, parsed.query, { categories: listParam(searchParams, 'category') });
+    const body = { types: sources.map((s) => s.type), ...result };
+    if (unavailable.length) body.unavailable = unavailable;
+
+    const etagValue = etag(JSON.stringify(body));
+    res.set({
+      'ETag': etagValue,
+      'Cache-Control': 'public, max-age=300, must-revalidate',
+    });
+    if (req.headers['if-none-match'] === etagValue) {
+      return res.status(304).end();
+    }
+    res.json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
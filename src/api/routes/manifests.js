@@ -16,55 +16,26 @@ const etag = require('etag');
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
 const { MANIFEST_CONFIG, MANIFEST_TYPES } = require('../config/manifests');
-
-/**
- * Helper: Read and parse a manifest file
- */
-async function readManifest(type) {
-  const manifestPath = MANIFEST_CONFIG[type];
-  if (!manifestPath) {
-    throw new Error(`Unknown manifest type: ${type}`);
-  }
-  
-  const fullPath = path.join(
-    process.cwd(),
-    'src',
-    'images',
-    'Portfolios',
-    manifestPath
-  );
-  
-  try {
-    const data = await fs.readFile(fullPath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      throw new Error(`Manifest not found: ${type}`);
-    }
-    throw err;
-  }
-}
-
-/**
- * Helper: Get manifest from cache or read from disk
- */
-async function getCachedManifest(type) {
-  const cacheKey = `manifest:${type}`;
-  
-  // Try to get from Redis cache
-  const cached = await cache.get(cacheKey);
-  if (cached) {
-    return { data: cached, fromCache: true };
-  }
-  
-  // Cache miss - read from disk
-  const data = await readManifest(type);
-  
-  // Store in Redis cache
-  await cache.set(cacheKey, data);
-  
-  return { data, fromCache: false };
-}
+const {
+  parseManifestQuery,
+  queryManifest,
+  parseManifestProjection,
+  projectManifestItem,
+  projectManifest,
+} = require('../../shared/manifest-query');
+const {
+  assignItemSlugs,
+  resolveSlugRedirect,
+  suggestSlugs,
+} = require('../../shared/manifest-slugs');
+const {
+  getCachedManifest,
+  readSlugRedirects,
+  loadManifestFile,
+  getValidationReport,
+  hasLastValidCopy,
+} = require('../utils/manifest-store');
+const { getSearchParams } = require('../utils/request');
 
 /**
  * List all available manifest types
@@ -88,13 +59,42 @@ router.get('/', async (req, res) => {
 /**
  * Get a specific manifest by type
  * GET /api/v1/manifests/:type
+ * Optional query: ?limit=&cursor=&sort=date|name&order=&since=&until=&tag=&q=
+ * Optional projection: ?view=summary|full&fields=a,b.c
  */
 router.get('/:type', async (req, res, next) => {
   const { type } = req.params;
-  
+
+  const searchParams = getSearchParams(req);
+  const parsed = parseManifestQuery(searchParams);
+  const projected = parseManifestProjection(searchParams);
+  const invalid = [parsed, projected].find((p) => !p.ok);
+  if (invalid) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: invalid.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   try {
-    const { data, fromCache } = await getCachedManifest(type);
-    
+    const { data: manifest, fromCache, stale } = await getCachedManifest(type);
+    let data = manifest;
+    if (parsed.active) {
+      const queried = queryManifest(type, manifest, parsed.query);
+      if (!queried.ok) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: queried.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      data = queried.data;
+    }
+    if (projected.active) {
+      data = projectManifest(data, projected.projection);
+    }
+
     // Generate ETag for caching
     const dataString = JSON.stringify(data);
     const etagValue = etag(dataString);
@@ -111,19 +111,22 @@ router.get('/:type', async (req, res, next) => {
       // Non-fatal: header is best-effort
     }
 
-    // Check if client has cached version
-    const clientETag = req.headers['if-none-match'];
-    if (clientETag === etagValue) {
-      return res.status(304).end(); // Not Modified
-    }
-    
-    // Set cache headers
+    // Set cache headers (a 304 carries them too)
     res.set({
       'X-Cache': fromCache ? 'HIT' : 'MISS',
       'ETag': etagValue,
       'Cache-Control': 'public, max-age=300, must-revalidate', // 5 minutes browser cache
       'Vary': 'Accept-Encoding'
     });
+    if (stale) {
+      res.set('X-Stale', 'true');
+    }
+
+    // Check if client has cached version
+    const clientETag = req.headers['if-none-match'];
+    if (clientETag === etagValue) {
+      return res.status(304).end(); // Not Modified
+    }
     
     res.json({
       type,
@@ -131,9 +134,20 @@ router.get('/:type', async (req, res, next) => {
       meta: {
         timestamp: new Date().toISOString(),
         cached: fromCache,
+        ...(stale ? { stale: true, validation: `/api/v1/manifests/${type}/validation` } : {}),
       },
     });
   } catch (err) {
+    if (err.status === 502 && err.validation) {
+      return res.status(502).json({
+        error: 'Invalid Manifest',
+        message: err.message,
+        errorCount: err.validation.errorCount,
+        errors: err.validation.errors,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     if (err.message.includes('Unknown manifest type')) {
       return res.status(404).json({
         error: 'Not Found',
@@ -154,6 +168,111 @@ router.get('/:type', async (req, res, next) => {
   }
 });
 
+/**
+ * Get a single manifest item by slug
+ * GET /api/v1/manifests/:type/items/:slug
+ * Optional projection: ?view=summary|full&fields=a,b.c
+ * Renamed items answer 301 to their current slug; unknown slugs 404 with suggestions.
+ */
+router.get('/:type/items/:slug', async (req, res, next) => {
+  const { type, slug } = req.params;
+
+  const projected = parseManifestProjection(getSearchParams(req));
+  if (!projected.ok) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: projected.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const { data: manifest, firstSeen, fromCache } = await getCachedManifest(type);
+    const slugs = assignItemSlugs(type, manifest, null, firstSeen);
+    const match = slugs.find((s) => s.slug === slug);
+
+    if (!match) {
+      const redirects = await readSlugRedirects();
+      const target = resolveSlugRedirect(slugs, redirects[type], slug);
+      if (target) {
+        const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+        const location = `/api/v1/manifests/${type}/items/${encodeURIComponent(target)}${query}`;
+        res.set('Location', location);
+        return res.status(301).json({ redirect: location, slug: target });
+      }
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No ${type} item with slug: ${slug}`,
+        suggestions: suggestSlugs(slugs, slug).map((s) => ({
+          ...s,
+          endpoint: `/api/v1/manifests/${type}/items/${encodeURIComponent(s.slug)}`,
+        })),
+      });
+    }
+
+    const item = projected.active ? projectManifestItem(match.raw, projected.projection) : match.raw;
+    const body = { type, slug: match.slug, id: match.id, item };
+
+    const etagValue = etag(JSON.stringify(body));
+    res.set({
+      'X-Cache': fromCache ? 'HIT' : 'MISS',
+      'ETag': etagValue,
+      'Cache-Control': 'public, max-age=300, must-revalidate',
+    });
+    if (req.headers['if-none-match'] === etagValue) {
+      return res.status(304).end();
+    }
+    res.json(body);
+  } catch (err) {
+    if (err.message.includes('Unknown manifest type')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: err.message,
+        availableTypes: Object.keys(MANIFEST_CONFIG),
+      });
+    }
+    if (err.message.includes('Manifest not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Manifest file not found for type: ${type}`,
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * Validate a manifest file against its type's schema and list the violations
+ * GET /api/v1/manifests/:type/validation
+ */
+router.get('/:type/validation', async (req, res, next) => {
+  const { type } = req.params;
+  try {
+    const { validation } = await loadManifestFile(type);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      type,
+      ...getValidationReport(type),
+      servingLastValidCopy: !validation.valid && hasLastValidCopy(type),
+    });
+  } catch (err) {
+    if (err.message.includes('Unknown manifest type')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: err.message,
+        availableTypes: Object.keys(MANIFEST_CONFIG),
+      });
+    }
+    if (err.message.includes('Manifest not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Manifest file not found for type: ${type}`,
+      });
+    }
+    next(err);
+  }
+});
+
 /**
  * Clear manifest cache (useful for development)
  * POST /api/v1/manifests/cache/clear
@@ -0,0 +1,111 @@
+/**
+ * Tag Routes
+ *
+ * The tag taxonomy across manifest types (see src/shared/manifest-tags.js) and the items
+ * carrying each tag, for tag pages and filter chips.
+ */
+
+const express = require('express');
+const router = express.Router();
+const etag = require('etag');
+
+const { MANIFEST_TYPES } = require('../config/manifests');
+const { listParam, parseManifestQuery } = require('../../shared/manifest-query');
+const { resolveItemTypes, queryPortfolioItems } = require('../../shared/manifest-items');
+const { collectTags, findTag } = require('../../shared/manifest-tags');
+const { getCachedManifests } = require('../utils/manifest-store');
+const { getSearchParams } = require('../utils/request');
+
+/**
+ * Helper: Send a JSON body with an ETag, or 304 when the client already has it
+ */
+function sendWithEtag(req, res, body) {
+  const etagValue = etag(JSON.stringify(body));
+  res.set({
+    'ETag': etagValue,
+    'Cache-Control': 'public, max-age=300, must-revalidate',
+  });
+  if (req.headers['if-none-match'] === etagValue) {
+    return res.status(304).end();
+  }
+  return res.json(body);
+}
+
+/**
+ * Helper: Reject unknown manifest types in ?type=
+ */
+function unknownTypes(res, unknown) {
+  return res.status(400).json({
+    error: 'Bad Request',
+    message: `Unknown manifest type: ${unknown.join(', ')}`,
+    availableTypes: MANIFEST_TYPES,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * List every tag with counts per manifest type
+ * GET /api/v1/tags
+ * Optional: ?type=concert,journalism
+ */
+router.get('/', async (req, res, next) => {
+  const { types, unknown } = resolveItemTypes(listParam(getSearchParams(req), 'type'), MANIFEST_TYPES);
+  if (unknown.length) return unknownTypes(res, unknown);
+
+  try {
+    const { sources, unavailable } = await getCachedManifests(types);
+    const tags = collectTags(sources);
+    const body = {
+      types: sources.map((s) => s.type),
+      total: tags.length,
+      tags: tags.map((t) => ({ ...t, links: { items: `/api/v1/tags/${encodeURIComponent(t.slug)}` } })),
+    };
+    if (unavailable.length) body.unavailable = unavailable;
+    sendWithEtag(req, res, body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * List the items carrying a tag (name or slug)
+ * GET /api/v1/tags/:tag
+ * Optional: the /api/v1/items query parameters
+ */
+router.get('/:tag', async (req, res, next) => {
+  const searchParams = getSearchParams(req);
+  const parsed = parseManifestQuery(searchParams);
+  if (!parsed.ok) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: parsed.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const { types, unknown } = resolveItemTypes(listParam(searchParams, 'type'), MANIFEST_TYPES);
+  if (unknown.length) return unknownTypes(res, unknown);
+
+  try {
+    const { sources, unavailable } = await getCachedManifests(types);
+    const tag = findTag(collectTags(sources), req.params.tag);
+    if (!tag) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No item is tagged ${req.params.tag}`,
+        tags: '/api/v1/tags',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const query = { ...parsed.query, tags: [...new Set([tag.tag.toLowerCase(), ...parsed.query.tags])] };
+    const body = {
+      ...tag,
+      ...queryPortfolioItems(sources, query, { categories: listParam(searchParams, 'category') }),
+    };
+    if (unavailable.length) body.unavailable = unavailable;
+    sendWithEtag(req, res, body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
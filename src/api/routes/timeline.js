@@ -0,0 +1,70 @@
+/**
+ * Timeline Routes
+ *
+ * Portfolio items grouped by year and month (see src/shared/manifest-timeline.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const etag = require('etag');
+
+const { MANIFEST_TYPES } = require('../config/manifests');
+const { listParam } = require('../../shared/manifest-query');
+const { resolveItemTypes } = require('../../shared/manifest-items');
+const { buildTimeline } = require('../../shared/manifest-timeline');
+const { getCachedManifests } = require('../utils/manifest-store');
+const { getSearchParams } = require('../utils/request');
+
+/**
+ * Items grouped by year and month
+ * GET /api/v1/timeline
+ * Optional: ?type=concert,journalism&year=2024 (year lists that year's items per month)
+ */
+router.get('/', async (req, res, next) => {
+  const year = req.query.year === undefined ? null : String(req.query.year);
+  if (year !== null && !/^\d{4}$/.test(year)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'year must be a four-digit year',
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const { types, unknown } = resolveItemTypes(listParam(getSearchParams(req), 'type'), MANIFEST_TYPES);
+  if (unknown.length) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown manifest type: ${unknown.join(', ')}`,
+      availableTypes: MANIFEST_TYPES,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const { sources, unavailable } = await getCachedManifests(types);
+    const timeline = buildTimeline(sources, year);
+    if (!timeline) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No dated items in ${year}`,
+        years: buildTimeline(sources).years.map((y) => y.year),
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const body = { types: sources.map((s) => s.type), ...timeline };
+    if (unavailable.length) body.unavailable = unavailable;
+
+    const etagValue = etag(JSON.stringify(body));
+    res.set({
+      'ETag': etagValue,
+      'Cache-Control': 'public, max-age=300, must-revalidate',
+    });
+    if (req.headers['if-none-match'] === etagValue) {
+      return res.status(304).end();
+    }
+    res.json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
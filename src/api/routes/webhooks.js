@@ -9,6 +9,8 @@ const express = require('express');
 const router = express.Router();
 const cache = require('../cache/redis-client');
 const { MANIFEST_TYPES, MANIFEST_CONFIG } = require('../config/manifests');
+const { validateManifest } = require('../../shared/manifest-schemas');
+const { countManifestItems } = require('../../shared/manifest-items');
 
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
@@ -118,15 +120,27 @@ router.post('/refresh/:type', async (req, res) => {
     const fs = require('fs').promises;
     const path = require('path');
     
-    // Invalidate old cache
-    await cache.del(`manifest:${type}`);
-    
     // Load fresh data
     const manifestPath = MANIFEST_CONFIG[type];
     const fullPath = path.join(process.cwd(), 'src', 'images', 'Portfolios', manifestPath);
     const data = await fs.readFile(fullPath, 'utf8');
     const manifest = JSON.parse(data);
     
+    // Keep the cached copy when the new file fails validation
+    const validation = validateManifest(type, manifest);
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: 'Invalid Manifest',
+        message: `Manifest for ${type} failed validation; cache left unchanged`,
+        type,
+        errorCount: validation.errorCount,
+        errors: validation.errors,
+      });
+    }
+    
+    // Invalidate old cache
+    await cache.del(`manifest:${type}`);
+    
     // Warm cache with new data
     await cache.set(`manifest:${type}`, manifest);
     
@@ -134,7 +148,7 @@ router.post('/refresh/:type', async (req, res) => {
       success: true,
       message: `Cache refreshed for ${type}`,
       type,
-      itemCount: manifest.bands?.length || manifest.events?.length || manifest.stories?.length || manifest.collections?.length || manifest.items?.length || 0,
+      itemCount: countManifestItems(manifest),
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
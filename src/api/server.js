@@ -55,8 +55,9 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag'],
 };
 
 // Initialize Express app
@@ -132,6 +133,7 @@ app.use((err, req, res, next) => {
 // Cache warming function
 async function warmCache() {
   const { MANIFEST_CONFIG, MANIFEST_TYPES } = require('./config/manifests');
+  const { validateManifest } = require('../shared/manifest-schemas');
   const manifestTypes = MANIFEST_TYPES;
   console.log('🔥 Warming cache with all manifests... - server.js:125');
   
@@ -145,6 +147,11 @@ async function warmCache() {
       const fullPath = path.join(process.cwd(), 'src', 'images', 'Portfolios', manifestPath);
       const data = await fs.readFile(fullPath, 'utf8');
       const manifest = JSON.parse(data);
+      const validation = validateManifest(type, manifest);
+      if (!validation.valid) {
+        console.warn(`⚠️  Skipping cache warm for ${type}: ${validation.errorCount} schema violations`);
+        continue;
+      }
       await cache.set(`manifest:${type}`, manifest);
       warmedCount++;
     } catch (err) {
@@ -0,0 +1,243 @@
+/**
+ * Manifest store
+ *
+ * Reads the generated manifest files from src/images/Portfolios/, validates them against
+ * their schemas and caches valid copies in Redis. Also records when each item was first
+ * seen, which keeps colliding item slugs numbered in the order the items appeared. Shared
+ * by every route that needs manifest data.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const cache = require('../cache/redis-client');
+const { MANIFEST_CONFIG } = require('../config/manifests');
+const { validateManifest } = require('../../shared/manifest-schemas');
+const { AGGREGATE_MANIFEST_TYPES } = require('../../shared/manifest-items');
+const { keyManifestItems } = require('../../shared/manifest-slugs');
+
+// Kept outside src/images/Portfolios/, which manifest regeneration rewrites
+const FIRST_SEEN_PATH = process.env.FIRST_SEEN_PATH || path.join(process.cwd(), 'data', 'first-seen.json');
+
+// Last copy of each manifest that passed validation, served while the file on disk is broken
+const lastGoodManifests = new Map();
+// Latest validation result per type
+const validationReports = new Map();
+// Updates to first-seen.json run one at a time, each reading the file afresh, so two types
+// loaded together cannot drop each other's items
+let firstSeenWriteQueue = Promise.resolve();
+function withFirstSeenLock(task) {
+  const run = firstSeenWriteQueue.then(task);
+  firstSeenWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Helper: Read, parse and validate a manifest file and record the validation report.
+ * Returns { data, validation }; data is null when the file is invalid.
+ */
+async function loadManifestFile(type) {
+  const manifestPath = MANIFEST_CONFIG[type];
+  if (!manifestPath) {
+    throw new Error(`Unknown manifest type: ${type}`);
+  }
+
+  const fullPath = path.join(
+    process.cwd(),
+    'src',
+    'images',
+    'Portfolios',
+    manifestPath
+  );
+
+  let raw;
+  try {
+    raw = await fs.readFile(fullPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Manifest not found: ${type}`);
+    }
+    throw err;
+  }
+
+  let data = null;
+  let validation;
+  try {
+    data = JSON.parse(raw);
+    validation = validateManifest(type, data);
+  } catch (err) {
+    validation = { valid: false, schema: null, errorCount: 1, errors: [{ path: '/', message: `Invalid JSON: ${err.message}` }] };
+  }
+  validationReports.set(type, { ...validation, checkedAt: new Date().toISOString() });
+  return { data: validation.valid ? data : null, validation };
+}
+
+/**
+ * Helper: Read and parse a manifest file.
+ * A file that fails schema validation is never returned: the last valid copy is served
+ * instead, and without one an error with `status = 502` is thrown.
+ */
+async function readManifest(type) {
+  const { data, validation } = await loadManifestFile(type);
+  if (data) {
+    lastGoodManifests.set(type, data);
+    return { data, stale: false };
+  }
+
+  if (lastGoodManifests.has(type)) {
+    console.warn(`Manifest ${type} failed validation (${validation.errorCount} errors); serving last valid copy`);
+    return { data: lastGoodManifests.get(type), stale: true };
+  }
+  const err = new Error(`Manifest failed validation: ${type}`);
+  err.status = 502;
+  err.validation = validation;
+  throw err;
+}
+
+/**
+ * Helper: Read the first-seen maps
+ * ({ "<type>": { seededAt, items: { "<item id>": ISO timestamp | null } } }).
+ * Returns {} when there are none.
+ */
+async function readFirstSeenMaps() {
+  try {
+    const data = JSON.parse(await fs.readFile(FIRST_SEEN_PATH, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable first-seen.json: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Helper: Item map of a type's first-seen record, or null (aggregate types are not tracked)
+ */
+async function getFirstSeen(type) {
+  if (AGGREGATE_MANIFEST_TYPES.includes(type)) return null;
+  const stored = (await readFirstSeenMaps())[type];
+  return stored && stored.items && typeof stored.items === 'object' ? stored.items : null;
+}
+
+/**
+ * Helper: Record when each item of a manifest was first seen. Items present the first time a
+ * type is read get null (added at an unknown time); later items get the time they appeared.
+ * Returns the type's item map.
+ */
+async function recordFirstSeen(type, data) {
+  if (AGGREGATE_MANIFEST_TYPES.includes(type)) return null;
+  return withFirstSeenLock(() => updateFirstSeen(type, data));
+}
+
+/**
+ * Helper: Add a manifest's new items to the type's first-seen record (run under withFirstSeenLock)
+ */
+async function updateFirstSeen(type, data) {
+  const maps = await readFirstSeenMaps();
+  const stored = maps[type] && maps[type].items && typeof maps[type].items === 'object' ? maps[type] : null;
+  const now = new Date().toISOString();
+  const firstSeen = stored || { seededAt: now, items: {} };
+  let changed = !stored;
+  for (const { id } of keyManifestItems(type, data)) {
+    if (id in firstSeen.items) continue;
+    firstSeen.items[id] = stored ? now : null;
+    changed = true;
+  }
+  if (changed) {
+    maps[type] = firstSeen;
+    try {
+      await fs.mkdir(path.dirname(FIRST_SEEN_PATH), { recursive: true });
+      await fs.writeFile(FIRST_SEEN_PATH, JSON.stringify(maps, null, 2), 'utf8');
+    } catch (err) {
+      console.warn(`First-seen write failed: ${err.message}`);
+    }
+  }
+  return firstSeen.items;
+}
+
+/**
+ * Helper: Get manifest from cache or read from disk.
+ * Returns { data, firstSeen, fromCache, stale }; firstSeen numbers colliding item slugs
+ * (see src/shared/manifest-slugs.js).
+ */
+async function getCachedManifest(type) {
+  const cacheKey = `manifest:${type}`;
+
+  // Try to get from Redis cache
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return { data: cached, firstSeen: await getFirstSeen(type), fromCache: true };
+  }
+
+  // Cache miss - read from disk
+  const { data, stale } = await readManifest(type);
+
+  // Store in Redis cache (a last valid copy is not cached so the fixed file is picked up)
+  if (!stale) {
+    await cache.set(cacheKey, data);
+  }
+  const firstSeen = stale ? await getFirstSeen(type) : await recordFirstSeen(type, data);
+
+  return { data, firstSeen, fromCache: false, stale };
+}
+
+/**
+ * Helper: Get several manifests for a cross-manifest response.
+ * A missing or broken manifest does not hide the other types; it is listed under `unavailable`.
+ * Returns { sources: [{ type, data, firstSeen }], unavailable: [{ type, message }] }.
+ */
+async function getCachedManifests(types) {
+  const sources = [];
+  const unavailable = [];
+  for (const type of types) {
+    try {
+      const { data, firstSeen } = await getCachedManifest(type);
+      sources.push({ type, data, firstSeen });
+    } catch (err) {
+      unavailable.push({ type, message: err.message });
+    }
+  }
+  return { sources, unavailable };
+}
+
+/**
+ * Helper: Read the slug redirect map published next to the manifests
+ * (src/images/Portfolios/slug-redirects.json: { "<type>": { "<old slug>": "<new slug or folder>" } }).
+ * Returns {} when there is none.
+ */
+async function readSlugRedirects() {
+  const fullPath = path.join(process.cwd(), 'src', 'images', 'Portfolios', 'slug-redirects.json');
+  try {
+    const data = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable slug-redirects.json: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Latest validation report recorded for a type (undefined if never read)
+ */
+function getValidationReport(type) {
+  return validationReports.get(type);
+}
+
+/**
+ * Whether a valid copy of the manifest has been read since startup
+ */
+function hasLastValidCopy(type) {
+  return lastGoodManifests.has(type);
+}
+
+module.exports = {
+  loadManifestFile,
+  readManifest,
+  getCachedManifest,
+  getCachedManifests,
+  readSlugRedirects,
+  getValidationReport,
+  hasLastValidCopy,
+};
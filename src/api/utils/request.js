@@ -0,0 +1,15 @@
+/**
+ * Request helpers
+ */
+
+/**
+ * Query string of a request as URLSearchParams, the form the shared helpers in src/shared/
+ * read (a repeated parameter keeps every value)
+ */
+function getSearchParams(req) {
+  return new URL(req.originalUrl, 'http://localhost').searchParams;
+}
+
+module.exports = {
+  getSearchParams,
+};
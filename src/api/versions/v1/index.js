@@ -7,6 +7,10 @@ const router = express.Router();
 // Routes
 const v1Health = require("./health");
 const manifestRoutes = require("../../routes/manifests");
+const itemRoutes = require("../../routes/items");
+const tagRoutes = require("../../routes/tags");
+const timelineRoutes = require("../../routes/timeline");
+const calendarRoutes = require("../../routes/calendar");
 const webhookRoutes = require("../../routes/webhooks");
 const adminRoutes = require("../../routes/admin");
 const blogRoutes = require("../../routes/blog");
@@ -25,6 +29,10 @@ router.use((req, res, next) => {
 // Mount under v1 namespace
 router.use("/health", v1Health);
 router.use("/manifests", manifestRoutes);
+router.use("/items", itemRoutes);
+router.use("/tags", tagRoutes);
+router.use("/timeline", timelineRoutes);
+router.use("/", calendarRoutes); // /calendar.ics and /calendar/:type.ics
 router.use("/webhooks", webhookRoutes);
 router.use("/admin", adminRoutes);
 router.use("/blog", blogRoutes);
@@ -0,0 +1,244 @@
+/**
+ * Blog feeds
+ *
+ * Blog posts as RSS 2.0, Atom (RFC 4287) and JSON Feed 1.1 documents, with the post's
+ * author, body and images (as enclosures/attachments). Used by both src/worker.js and the
+ * Express API; the Worker also renders its new work feed with renderFeed.
+ */
+
+const { slugify } = require('./manifest-slugs');
+
+const BLOG_FEED_CONFIG = {
+  title: 'McCal Media Blog',
+  description: 'Stories from behind the lens at McCal Media',
+  language: 'en-us',
+  // Public site the post links point at (override with SITE_URL)
+  siteUrl: 'https://mcc-cal.com',
+  maxItems: 20,
+  // Rendered feeds are kept in the edge cache this long unless a publish purges them first
+  edgeTtlSeconds: 3600,
+  clientTtlSeconds: 300,
+  formats: {
+    'feed.xml': { format: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+    'feed.atom': { format: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+    'feed.json': { format: 'json', contentType: 'application/feed+json; charset=utf-8' },
+  },
+};
+
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+/**
+ * URL slug of a blog post (its own `slug`, else the title)
+ */
+function getBlogPostSlug(post) {
+  return slugify(post && post.slug) || slugify(post && post.title) || 'post';
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    // Control characters are not allowed anywhere in an XML 1.0 document
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * MIME type of an image from its file extension
+ */
+function guessImageMimeType(src) {
+  const ext = (String(src).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return IMAGE_MIME_TYPES[(ext || '').toLowerCase()] || 'image/jpeg';
+}
+
+/**
+ * A stored blog post as a feed entry: { id, url, title, summary, contentHtml, published,
+ * updated, author: { name, url } | null, images: [{ url, type, alt, caption }] }.
+ * The author is matched against the configured authors; credentials are never exposed.
+ */
+function toBlogFeedEntry(post, { siteUrl, authors }) {
+  const source = post && typeof post === 'object' ? post : {};
+  const url = `${siteUrl}/blog/${encodeURIComponent(getBlogPostSlug(source))}`;
+  const images = (Array.isArray(source.images) ? source.images : [])
+    .filter((img) => img && img.src)
+    .map((img) => {
+      const src = new URL(String(img.src), `${siteUrl}/`).href;
+      return { url: src, type: guessImageMimeType(src), alt: img.alt ? String(img.alt) : '', caption: img.caption ? String(img.caption) : null };
+    });
+  const paragraphs = (Array.isArray(source.body) ? source.body : []).map((p) => `<p>${escapeXml(p)}</p>`);
+  const figures = images.map((img) =>
+    `<figure><img src="${escapeXml(img.url)}" alt="${escapeXml(img.alt)}" />${img.caption ? `<figcaption>${escapeXml(img.caption)}</figcaption>` : ''}</figure>`
+  );
+  const name = source.author ? String(source.author) : null;
+  const profile = name ? authors.find((a) => [a.name, a.username, a.id].includes(name)) : null;
+  const published = new Date(source.publishedAt || source.date || 0);
+  const updated = new Date(source.updatedAt || source.publishedAt || source.date || 0);
+  return {
+    id: url,
+    url,
+    title: String(source.title || 'Untitled'),
+    summary: source.excerpt ? String(source.excerpt) : '',
+    contentHtml: [...paragraphs, ...figures].join('\n'),
+    published: isNaN(published) ? null : published,
+    updated: isNaN(updated) ? null : updated,
+    author: name ? { name: (profile && profile.name) || name, url: (profile && (profile.url || profile.website)) || null } : null,
+    images,
+  };
+}
+
+/**
+ * Feed entries for the newest posts
+ */
+function buildBlogFeedEntries(posts, { siteUrl, authors = [] }) {
+  return (Array.isArray(posts) ? posts : [])
+    .map((post) => toBlogFeedEntry(post, { siteUrl, authors }))
+    .sort((a, b) => (b.published || 0) - (a.published || 0))
+    .slice(0, BLOG_FEED_CONFIG.maxItems);
+}
+
+const latestUpdate = (entries) => entries.map((e) => e.updated).filter(Boolean).sort((a, b) => b - a)[0];
+
+/**
+ * RSS 2.0 document
+ */
+function renderRssFeed(entries, channel) {
+  const items = entries.map((e) => [
+    '    <item>',
+    `      <title>${escapeXml(e.title)}</title>`,
+    `      <link>${escapeXml(e.url)}</link>`,
+    `      <guid isPermaLink="${e.id === e.url}">${escapeXml(e.id)}</guid>`,
+    e.published ? `      <pubDate>${e.published.toUTCString()}</pubDate>` : null,
+    e.author ? `      <dc:creator>${escapeXml(e.author.name)}</dc:creator>` : null,
+    `      <description>${escapeXml(e.summary)}</description>`,
+    `      <content:encoded>${escapeXml(e.contentHtml)}</content:encoded>`,
+    // RSS allows one enclosure per item: the lead image
+    e.images[0] ? `      <enclosure url="${escapeXml(e.images[0].url)}" length="0" type="${e.images[0].type}" />` : null,
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+  const lastBuild = latestUpdate(entries);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(channel.title)}</title>`,
+    `    <link>${escapeXml(channel.homeUrl)}</link>`,
+    `    <description>${escapeXml(channel.description)}</description>`,
+    `    <language>${channel.language}</language>`,
+    `    <atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    lastBuild ? `    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].filter((v) => v !== null).join('\n');
+}
+
+/**
+ * Atom (RFC 4287) document
+ */
+function renderAtomFeed(entries, channel) {
+  const updated = latestUpdate(entries) || new Date(0);
+  const items = entries.map((e) => [
+    '  <entry>',
+    `    <title>${escapeXml(e.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(e.url)}" />`,
+    ...e.images.map((img) => `    <link rel="enclosure" type="${img.type}" href="${escapeXml(img.url)}" />`),
+    `    <id>${escapeXml(e.id)}</id>`,
+    e.published ? `    <published>${e.published.toISOString()}</published>` : null,
+    `    <updated>${(e.updated || updated).toISOString()}</updated>`,
+    e.author ? `    <author><name>${escapeXml(e.author.name)}</name>${e.author.url ? `<uri>${escapeXml(e.author.url)}</uri>` : ''}</author>` : null,
+    `    <summary>${escapeXml(e.summary)}</summary>`,
+    `    <content type="html">${escapeXml(e.contentHtml)}</content>`,
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${channel.language}">`,
+    `  <title>${escapeXml(channel.title)}</title>`,
+    `  <subtitle>${escapeXml(channel.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(channel.homeUrl)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.feedUrl)}" />`,
+    `  <id>${escapeXml(channel.homeUrl)}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    // Atom requires an author on the feed when an entry has none
+    `  <author><name>${escapeXml(channel.title)}</name></author>`,
+    ...items,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * JSON Feed 1.1 document
+ */
+function renderJsonFeed(entries, channel) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    description: channel.description,
+    home_page_url: channel.homeUrl,
+    feed_url: channel.feedUrl,
+    language: channel.language,
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      summary: e.summary || undefined,
+      content_html: e.contentHtml,
+      image: e.images[0] ? e.images[0].url : undefined,
+      date_published: e.published ? e.published.toISOString() : undefined,
+      date_modified: e.updated ? e.updated.toISOString() : undefined,
+      authors: e.author ? [{ name: e.author.name, url: e.author.url || undefined }] : undefined,
+      attachments: e.images.length
+        ? e.images.map((img) => ({ url: img.url, mime_type: img.type, title: img.caption || img.alt || undefined }))
+        : undefined,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Render feed entries as "rss", "atom" or "json" (JSON Feed 1.1).
+ * `channel` is { title, description, language, homeUrl, feedUrl }.
+ */
+function renderFeed(format, entries, channel) {
+  if (format === 'atom') return renderAtomFeed(entries, channel);
+  if (format === 'json') return renderJsonFeed(entries, channel);
+  return renderRssFeed(entries, channel);
+}
+
+/**
+ * Render the blog feed in one of the BLOG_FEED_CONFIG formats
+ */
+function renderBlogFeed(format, posts, { siteUrl = BLOG_FEED_CONFIG.siteUrl, feedUrl, authors = [] }) {
+  const base = siteUrl.replace(/\/$/, '');
+  const { title, description, language } = BLOG_FEED_CONFIG;
+  return renderFeed(format, buildBlogFeedEntries(posts, { siteUrl: base, authors }), {
+    title,
+    description,
+    language,
+    homeUrl: `${base}/blog`,
+    feedUrl,
+  });
+}
+
+module.exports = {
+  BLOG_FEED_CONFIG,
+  getBlogPostSlug,
+  escapeXml,
+  guessImageMimeType,
+  toBlogFeedEntry,
+  renderFeed,
+  renderBlogFeed,
+};
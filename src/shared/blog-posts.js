@@ -0,0 +1,174 @@
+/**
+ * Blog post identity and edits
+ *
+ * Post ids, unique slugs, request body validation, If-Match checks and the post lifecycle
+ * (draft, scheduled, published, archived) for the blog post endpoints. Used by both
+ * src/worker.js and the Express API; each computes post ETags with its own hashing.
+ */
+
+const { slugify } = require('./manifest-slugs');
+
+// Only published posts (and scheduled ones whose publishAt has passed) are public
+const BLOG_POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+/**
+ * `base`, or `base-2`, `base-3`, ... when that slug is taken
+ */
+function uniqueBlogSlug(base, taken) {
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+/**
+ * Give every post an `id` and a unique `slug`.
+ * Missing slugs are filled oldest post first, so they do not move when newer posts arrive. Posts
+ * stored before ids existed get a stable id from their date and slug; it is saved with the next write.
+ */
+function normalizeBlogPosts(data) {
+  const posts = (data && Array.isArray(data.posts) ? data.posts : []).filter((p) => p && typeof p === 'object');
+  const taken = new Set(posts.map((p) => slugify(p.slug)).filter(Boolean));
+  const oldestFirst = posts
+    .map((post, index) => ({ post, index }))
+    .sort((a, b) => String(a.post.date || '').localeCompare(String(b.post.date || '')) || b.index - a.index);
+  for (const { post } of oldestFirst) {
+    if (slugify(post.slug)) {
+      post.slug = slugify(post.slug);
+    } else {
+      post.slug = uniqueBlogSlug(slugify(post.title) || 'post', taken);
+      taken.add(post.slug);
+    }
+    if (!post.id) post.id = [post.date || 'undated', post.slug].join('-');
+  }
+  return { ...(data && typeof data === 'object' ? data : {}), posts };
+}
+
+/**
+ * Validate the editable fields of a post request body (title, excerpt, content[], images[], slug,
+ * status, publishAt) and map them to stored fields. With `partial` (PATCH) only the fields
+ * present are checked.
+ * Returns { ok, fields } or { ok: false, message }.
+ */
+function parseBlogPostFields(body, { partial = false } = {}) {
+  const source = body && typeof body === 'object' ? body : {};
+  const has = (key) => !partial || source[key] !== undefined;
+  const fields = {};
+  if (has('title')) fields.title = String(source.title == null ? '' : source.title).trim();
+  if (has('excerpt')) fields.excerpt = String(source.excerpt == null ? '' : source.excerpt).trim();
+  if (has('content')) fields.body = Array.isArray(source.content) ? source.content.map(String) : [];
+  if (has('images')) {
+    fields.images = (Array.isArray(source.images) ? source.images : []).map((img) => ({
+      src: String((img && img.src) || ''),
+      alt: String((img && img.alt) || ''),
+      caption: img && img.caption ? String(img.caption) : undefined,
+    }));
+  }
+  if (source.slug !== undefined) {
+    fields.slug = slugify(source.slug);
+    if (!fields.slug) return { ok: false, message: 'slug must contain letters or digits' };
+  }
+  if (source.status !== undefined) {
+    fields.status = String(source.status).toLowerCase();
+    if (!BLOG_POST_STATUSES.includes(fields.status)) {
+      return { ok: false, message: `status must be one of: ${BLOG_POST_STATUSES.join(', ')}` };
+    }
+  }
+  if (source.publishAt !== undefined) {
+    // null clears the schedule
+    const at = source.publishAt === null ? null : Date.parse(source.publishAt);
+    if (Number.isNaN(at)) return { ok: false, message: 'publishAt must be an ISO 8601 date-time' };
+    fields.publishAt = at === null ? null : new Date(at).toISOString();
+  }
+  if (fields.title === '' || fields.excerpt === '' || (fields.body && !fields.body.length)) {
+    return { ok: false, message: partial ? 'title, excerpt, and content[] cannot be empty' : 'title, excerpt, and content[] required' };
+  }
+  return { ok: true, fields };
+}
+
+/**
+ * A post with parsed fields applied (an empty images list removes `images`, a null publishAt the schedule)
+ */
+function applyBlogPostFields(post, fields) {
+  const next = { ...post, ...fields };
+  if (Array.isArray(next.images) && !next.images.length) delete next.images;
+  if (next.publishAt === null) delete next.publishAt;
+  return next;
+}
+
+/**
+ * A post's status; posts stored before statuses existed are published
+ */
+function getBlogPostStatus(post) {
+  return BLOG_POST_STATUSES.includes(post && post.status) ? post.status : 'published';
+}
+
+/**
+ * Whether a scheduled post's publishAt has passed
+ */
+function isBlogPostDue(post, now = Date.now()) {
+  return getBlogPostStatus(post) === 'scheduled' && Date.parse(post.publishAt) <= now;
+}
+
+/**
+ * Whether readers may see a post (published, or scheduled and due)
+ */
+function isBlogPostPublic(post, now = Date.now()) {
+  return getBlogPostStatus(post) === 'published' || isBlogPostDue(post, now);
+}
+
+/**
+ * A post marked published at `at` (its `date` becomes the publish day)
+ */
+function markBlogPostPublished(post, at) {
+  const publishedAt = new Date(at).toISOString();
+  return { ...post, status: 'published', publishedAt, date: publishedAt.split('T')[0] };
+}
+
+/**
+ * The posts readers may see, in stored order. Scheduled posts that are due already show as
+ * published, so readers never wait on the Worker's cron run (the Express API has none).
+ */
+function publicBlogPosts(posts, now = Date.now()) {
+  return (Array.isArray(posts) ? posts : [])
+    .filter((post) => isBlogPostPublic(post, now))
+    .map((post) => (isBlogPostDue(post, now) ? markBlogPostPublished(post, post.publishAt) : post));
+}
+
+/**
+ * Settle the status of a created or edited post. Scheduling needs publishAt (a publishAt
+ * already passed publishes straight away); becoming published stamps publishedAt.
+ * Returns { ok, post } or { ok: false, message }.
+ */
+function settleBlogPostStatus(post, previous, now = Date.now()) {
+  const status = getBlogPostStatus(post);
+  if (status === 'scheduled') {
+    if (!post.publishAt) return { ok: false, message: 'publishAt is required for scheduled posts' };
+    return { ok: true, post: isBlogPostDue(post, now) ? markBlogPostPublished(post, post.publishAt) : post };
+  }
+  if (status === 'published' && (!previous || getBlogPostStatus(previous) !== 'published')) {
+    return { ok: true, post: markBlogPostPublished(post, now) };
+  }
+  return { ok: true, post };
+}
+
+/**
+ * Whether an If-Match header matches an ETag (strong comparison; `*` matches any)
+ */
+function ifMatchSatisfied(header, etagValue) {
+  return String(header || '').split(',').some((t) => t.trim() === '*' || t.trim() === etagValue);
+}
+
+module.exports = {
+  BLOG_POST_STATUSES,
+  uniqueBlogSlug,
+  normalizeBlogPosts,
+  parseBlogPostFields,
+  applyBlogPostFields,
+  getBlogPostStatus,
+  isBlogPostDue,
+  isBlogPostPublic,
+  markBlogPostPublished,
+  publicBlogPosts,
+  settleBlogPostStatus,
+  ifMatchSatisfied,
+};
@@ -0,0 +1,167 @@
+/**
+ * Calendar feed
+ *
+ * Dated shoots as an RFC 5545 iCalendar feed, using the CalendarEvent schema from
+ * docs/integrations/calendar-integration.md. Used by both src/worker.js and the Express API.
+ */
+
+const { getItemCover, getItemImageCount } = require('./manifest-query');
+const { normalizeImage } = require('./manifest-items');
+const { slugify, assignItemSlugs } = require('./manifest-slugs');
+const { detectItemDate } = require('./manifest-timeline');
+
+const CALENDAR_CONFIG = {
+  types: ['concert', 'events', 'journalism'],
+  prodId: '-//McCal Media//Portfolio Calendar//EN',
+  name: 'McCal Media',
+  uidDomain: 'mcc-cal.com',
+  // Suggested client refresh interval (RFC 7986 REFRESH-INTERVAL)
+  refreshInterval: 'PT6H',
+  // RFC 5545 3.1: content lines are folded at 75 octets
+  maxLineOctets: 75,
+};
+
+const typeTitle = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+/**
+ * A manifest item as a CalendarEvent (all-day; null when undated)
+ */
+function toCalendarEvent(type, { slug, id, item, raw }, origin) {
+  const entry = raw && typeof raw === 'object' ? raw : {};
+  const date = detectItemDate(entry);
+  if (!date) return null;
+  const imageCount = getItemImageCount(entry);
+  const description = [
+    `${typeTitle(type)}${imageCount ? ` · ${imageCount} photo${imageCount === 1 ? '' : 's'}` : ''}`,
+    entry.outlet ? `Published in ${entry.outlet}` : null,
+    typeof entry.description === 'string' ? entry.description : null,
+  ].filter(Boolean).join('\n');
+  const cover = normalizeImage(getItemCover(entry));
+  return {
+    id: `${type}-${slugify(id) || slug}@${CALENDAR_CONFIG.uidDomain}`,
+    title: item.title,
+    description,
+    start: date,
+    location: [entry.venue, entry.location].find((v) => typeof v === 'string' && v.trim()) || null,
+    url: entry.outletUrl || `${origin}/api/v1/manifests/${type}/items/${encodeURIComponent(slug)}`,
+    tags: [...new Set([typeTitle(type), ...item.tags, ...(entry.category ? [String(entry.category)] : [])])],
+    image: cover && /^https?:\/\//.test(cover.src) ? cover.src : null,
+    status: 'confirmed',
+  };
+}
+
+/**
+ * Escape an iCalendar TEXT value (RFC 5545 3.3.11)
+ */
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    // Continuation lines start with a space, which counts towards their limit
+    const limit = parts.length ? CALENDAR_CONFIG.maxLineOctets - 1 : CALENDAR_CONFIG.maxLineOctets;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * YYYYMMDD from YYYY-MM-DD, optionally shifted by whole days
+ */
+function toIcsDate(iso, addDays = 0) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + addDays);
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * UTC date-time (YYYYMMDDTHHMMSSZ) of any parseable date, or null
+ */
+function toIcsDateTime(value) {
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Render CalendarEvents as an iCalendar document.
+ * `dtstamp` is the manifest's generation time so unchanged events keep the same DTSTAMP.
+ */
+function renderIcsCalendar(events, { name, dtstamp }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_CONFIG.prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `NAME:${escapeIcsText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_CONFIG.refreshInterval}`,
+    `X-PUBLISHED-TTL:${CALENDAR_CONFIG.refreshInterval}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}`,
+      `DTSTAMP:${event.dtstamp || dtstamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(event.end || event.start, 1)}`,
+      `SUMMARY:${escapeIcsText(event.title)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.url) lines.push(`URL;VALUE=URI:${event.url}`);
+    if (event.tags && event.tags.length) lines.push(`CATEGORIES:${event.tags.map(escapeIcsText).join(',')}`);
+    if (event.image) lines.push(`IMAGE;VALUE=URI;DISPLAY=THUMBNAIL:${event.image}`);
+    lines.push(`STATUS:${(event.status || 'confirmed').toUpperCase()}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Calendar feed for manifest sources ([{ type, data, itemsKey, firstSeen, lastModified }]), newest
+ * events first
+ */
+function buildCalendarFeed(sources, { name, origin }) {
+  const events = [];
+  const stamps = [];
+  for (const { type, data, itemsKey, firstSeen, lastModified } of sources) {
+    const dtstamp = toIcsDateTime(data && data.generated) || toIcsDateTime(lastModified) || toIcsDateTime(Date.now());
+    stamps.push(dtstamp);
+    for (const entry of assignItemSlugs(type, data, itemsKey, firstSeen)) {
+      const event = toCalendarEvent(type, entry, origin);
+      if (event) events.push({ ...event, dtstamp });
+    }
+  }
+  events.sort((a, b) => b.start.localeCompare(a.start) || a.id.localeCompare(b.id));
+  return renderIcsCalendar(events, { name, dtstamp: stamps.sort().pop() || toIcsDateTime(Date.now()) });
+}
+
+module.exports = {
+  CALENDAR_CONFIG,
+  toCalendarEvent,
+  escapeIcsText,
+  foldIcsLine,
+  renderIcsCalendar,
+  buildCalendarFeed,
+};
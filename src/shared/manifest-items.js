@@ -0,0 +1,125 @@
+/**
+ * Portfolio item model
+ *
+ * Maps the items of every manifest type (bands, events, collections, featured and
+ * universal items) to one shape so consumers don't need to know each manifest's quirks:
+ *
+ *   { id, type, title, date, cover, images: [{ src, caption, description }], imageCount,
+ *     tags, category, folder }
+ *
+ * Used by both src/worker.js and the Express API.
+ */
+
+const {
+  getManifestItemsKey,
+  normalizeManifestItem,
+  getItemCover,
+  getItemImageCount,
+  selectEntries,
+  countFacets,
+  getSortPosition,
+  describeQuery,
+} = require('./manifest-query');
+
+// Manifests that repeat items from the per-type manifests
+const AGGREGATE_MANIFEST_TYPES = ['featured', 'universal', 'portfolio'];
+
+/**
+ * Manifest types for a cross-manifest request: the requested ones, else every type except
+ * the aggregate manifests. Returns { types, unknown }.
+ */
+function resolveItemTypes(requested, available) {
+  const unknown = requested.filter((t) => !available.includes(t));
+  return {
+    types: requested.length ? requested : available.filter((t) => !AGGREGATE_MANIFEST_TYPES.includes(t)),
+    unknown,
+  };
+}
+
+/**
+ * Raw items of a manifest (an array is treated as the item list itself)
+ */
+function getManifestItems(data, preferredKey) {
+  if (Array.isArray(data)) return data;
+  const key = getManifestItemsKey(data, preferredKey);
+  return key ? data[key] : [];
+}
+
+/**
+ * Number of items in a manifest
+ */
+function countManifestItems(data, preferredKey) {
+  return getManifestItems(data, preferredKey).length;
+}
+
+/**
+ * Normalize a manifest image (filename string or object) to { src, caption, description }
+ */
+function normalizeImage(image) {
+  if (typeof image === 'string') return { src: image, caption: null, description: null };
+  if (!image || typeof image !== 'object') return null;
+  const src = image.url || image.src || image.path || image.filename;
+  if (!src) return null;
+  return {
+    src: String(src),
+    caption: image.caption || null,
+    description: image.description || null,
+  };
+}
+
+/**
+ * Map a raw manifest item of the given type to the portfolio item model
+ */
+function toPortfolioItem(raw, type) {
+  const item = normalizeManifestItem(raw, type);
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const images = (Array.isArray(source.images) ? source.images : []).map(normalizeImage).filter(Boolean);
+  const cover = normalizeImage(getItemCover(source));
+  return {
+    id: item.id,
+    type,
+    title: item.title,
+    date: item.date,
+    cover: cover ? cover.src : null,
+    images,
+    imageCount: getItemImageCount(source),
+    tags: item.tags,
+    category: source.category ? String(source.category) : null,
+    folder: item.folder,
+  };
+}
+
+/**
+ * Filter, sort and paginate portfolio items from several manifests.
+ * `sources` is [{ type, data, itemsKey }]; query comes from parseManifestQuery, `categories`
+ * are lower-cased category names. Cursor positions use `type:id` so items with the same id
+ * in different types stay distinct.
+ */
+function queryPortfolioItems(sources, query, { categories = [] } = {}) {
+  const entries = [];
+  for (const { type, data, itemsKey } of sources) {
+    for (const raw of getManifestItems(data, itemsKey)) {
+      if (categories.length && !categories.includes(String(raw?.category || '').toLowerCase())) continue;
+      const item = normalizeManifestItem(raw, type);
+      entries.push({ raw, item, type, pos: getSortPosition(item, query, `${type}:${item.id}`) });
+    }
+  }
+  const { matched, page, hasMore, nextCursor } = selectEntries(entries, query);
+  return {
+    items: page.map((e) => toPortfolioItem(e.raw, e.type)),
+    page: { limit: query.limit, returned: page.length, hasMore, nextCursor },
+    totals: { items: entries.length, matched: matched.length },
+    facets: countFacets(matched),
+    query: describeQuery(query),
+  };
+}
+
+module.exports = {
+  AGGREGATE_MANIFEST_TYPES,
+  resolveItemTypes,
+  getManifestItems,
+  countManifestItems,
+  normalizeImage,
+  toPortfolioItem,
+  queryPortfolioItems,
+};
@@ -0,0 +1,452 @@
+/**
+ * Manifest query helpers
+ *
+ * Filtering, sorting, cursor pagination and field projection over the items
+ * of a manifest. Used by both src/worker.js and the Express API, so both answer
+ * `/api/v1/manifests/:type?...` identically. Query parameters are read from a
+ * URLSearchParams.
+ */
+
+const QUERY_CONFIG = {
+  defaultLimit: 20,
+  maxLimit: 100,
+  sorts: ['date', 'name'],
+};
+
+// Collection keys that hold a manifest's items, in lookup order
+const MANIFEST_ITEM_KEYS = ['bands', 'events', 'stories', 'collections', 'articles', 'items'];
+
+const QUERY_PARAMS = ['limit', 'cursor', 'sort', 'order', 'since', 'until', 'tag', 'q'];
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+/**
+ * Find the key of the array holding a manifest's items (a registry `itemsKey` first)
+ */
+function getManifestItemsKey(data, preferred) {
+  if (!data || typeof data !== 'object') return null;
+  if (preferred && Array.isArray(data[preferred])) return preferred;
+  return MANIFEST_ITEM_KEYS.find((k) => Array.isArray(data[k])) || null;
+}
+
+/**
+ * YYYY-MM-DD for a calendar date, or null when the month or day does not exist (2024-13-45)
+ */
+function formatIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Coerce a manifest date value (ISO string, { iso }, "August 2025") to YYYY-MM-DD.
+ * Impossible dates give null.
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return toIsoDate(value.iso || value.display);
+  const str = String(value).trim();
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return formatIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  const monthYear = str.match(/([A-Za-z]+)\s+(?:(\d{1,2}),?\s+)?(\d{4})/);
+  if (monthYear) {
+    const month = MONTH_NAMES.indexOf(monthYear[1].toLowerCase());
+    if (month !== -1) {
+      return formatIsoDate(Number(monthYear[3]), month + 1, Number(monthYear[2] || 1));
+    }
+  }
+  return null;
+}
+
+/**
+ * Best-effort ISO date for a manifest item across manifest shapes
+ */
+function getItemDate(item) {
+  const candidates = [
+    item.concertDate, item.eventDate, item.date, item.dateISO,
+    item.publishedDate, item.dateDisplay, item.folderPath,
+  ];
+  for (const c of candidates) {
+    const iso = toIsoDate(c);
+    if (iso) return iso;
+  }
+  return null;
+}
+
+/**
+ * Map a raw manifest item (band, event, collection, ...) to the common fields used for querying
+ */
+function normalizeManifestItem(item, type) {
+  const raw = item && typeof item === 'object' ? item : {};
+  const title = String(raw.bandName || raw.eventName || raw.collectionName || raw.title || raw.name || raw.id || 'Untitled');
+  const date = getItemDate(raw);
+  const folder = raw.folderPath || raw.path || null;
+  return {
+    id: String(raw.id || folder || `${title}${date ? `-${date}` : ''}`),
+    type,
+    title,
+    date,
+    tags: Array.isArray(raw.tags) ? raw.tags.map(String) : [],
+    folder,
+  };
+}
+
+/**
+ * Lower-cased text used for `q` matching
+ */
+function getItemSearchText(raw, normalized) {
+  const parts = [normalized.title, normalized.folder, raw.category, raw.outlet, raw.description, raw.caption, ...normalized.tags];
+  if (Array.isArray(raw.images)) {
+    for (const img of raw.images) {
+      if (img && typeof img === 'object') parts.push(img.caption, img.description);
+    }
+  }
+  return parts.filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * base64url encode/decode of JSON cursors (UTF-8 safe; btoa/atob exist in Workers and Node)
+ */
+function encodeCursor(obj) {
+  const bytes = new TextEncoder().encode(JSON.stringify(obj));
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(str) {
+  try {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Integer from a query parameter or JSON value, else null. Unlike parseInt this rejects
+ * trailing junk ("600abc") and fractions (600.9).
+ */
+function parseInteger(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+/**
+ * Lower-cased values of a repeatable, comma-separated query parameter
+ */
+function listParam(searchParams, name) {
+  return searchParams.getAll(name)
+    .flatMap((v) => v.split(','))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse manifest query parameters.
+ * Returns { ok, active, query } or { ok: false, message } for invalid input.
+ */
+function parseManifestQuery(searchParams) {
+  const get = (name) => searchParams.get(name);
+  const active = QUERY_PARAMS.some((n) => searchParams.has(n));
+  const sort = String(get('sort') || 'date').toLowerCase();
+  if (!QUERY_CONFIG.sorts.includes(sort)) {
+    return { ok: false, message: `sort must be one of: ${QUERY_CONFIG.sorts.join(', ')}` };
+  }
+  const order = String(get('order') || (sort === 'date' ? 'desc' : 'asc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { ok: false, message: 'order must be asc or desc' };
+  }
+  let limit = QUERY_CONFIG.defaultLimit;
+  if (searchParams.has('limit')) {
+    limit = parseInteger(get('limit'));
+    if (limit === null || limit < 1) {
+      return { ok: false, message: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, QUERY_CONFIG.maxLimit);
+  }
+  const since = get('since');
+  const until = get('until');
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value && !toIsoDate(value)) {
+      return { ok: false, message: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  let cursor = null;
+  if (get('cursor')) {
+    cursor = decodeCursor(get('cursor'));
+    if (!cursor || cursor.s !== sort || cursor.o !== order) {
+      return { ok: false, message: 'cursor is invalid or was issued for a different sort' };
+    }
+  }
+  const tags = listParam(searchParams, 'tag');
+  return {
+    ok: true,
+    active,
+    query: {
+      limit,
+      cursor,
+      sort,
+      order,
+      since: since ? toIsoDate(since) : null,
+      until: until ? toIsoDate(until) : null,
+      tags,
+      q: String(get('q') || '').trim().toLowerCase(),
+    },
+  };
+}
+
+/**
+ * Ordering of two sort positions ({ v, id }); items without a sort value always go last
+ */
+function compareSortPositions(a, b, order) {
+  if (a.v !== b.v) {
+    if (a.v === null) return 1;
+    if (b.v === null) return -1;
+    const cmp = a.v < b.v ? -1 : 1;
+    return order === 'desc' ? -cmp : cmp;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Filter, sort and paginate query entries ({ raw, item, pos }).
+ * Returns { matched, page, hasMore, nextCursor }.
+ */
+function selectEntries(entries, query) {
+  const matched = entries.filter(({ raw, item }) => {
+    if (query.since && (!item.date || item.date < query.since)) return false;
+    if (query.until && (!item.date || item.date > query.until)) return false;
+    if (query.tags.length) {
+      const itemTags = item.tags.map((t) => t.toLowerCase());
+      if (!query.tags.every((t) => itemTags.includes(t))) return false;
+    }
+    if (query.q && !getItemSearchText(raw, item).includes(query.q)) return false;
+    return true;
+  });
+  matched.sort((a, b) => compareSortPositions(a.pos, b.pos, query.order));
+
+  let start = 0;
+  if (query.cursor) {
+    const after = { v: query.cursor.v ?? null, id: String(query.cursor.id ?? '') };
+    start = matched.findIndex((e) => compareSortPositions(e.pos, after, query.order) > 0);
+    if (start === -1) start = matched.length;
+  }
+  const page = matched.slice(start, start + query.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < matched.length;
+  return {
+    matched,
+    page,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor({ s: query.sort, o: query.order, v: last.pos.v, id: last.pos.id }) : null,
+  };
+}
+
+/**
+ * Sort position of a normalized item for a query
+ */
+function getSortPosition(item, query, id = item.id) {
+  return { v: query.sort === 'name' ? item.title.toLowerCase() : item.date, id };
+}
+
+/**
+ * Query metadata echoed in responses
+ */
+function describeQuery(query) {
+  return {
+    sort: query.sort,
+    order: query.order,
+    since: query.since,
+    until: query.until,
+    tags: query.tags,
+    q: query.q || null,
+  };
+}
+
+// Facet dimensions counted over the matched items of a query
+const FACET_NAMES = ['tag', 'year', 'type', 'outlet'];
+
+/**
+ * Facet counts of query entries ({ raw, item }), for filter chips.
+ * Values are grouped case-insensitively (first spelling wins); years are listed newest
+ * first, everything else by count. An item counts once per value.
+ */
+function countFacets(entries) {
+  const counts = Object.fromEntries(FACET_NAMES.map((name) => [name, new Map()]));
+  const add = (name, value, seen) => {
+    if (value === null || value === undefined || value === '') return;
+    const key = String(value).toLowerCase();
+    if (seen.has(`${name}:${key}`)) return;
+    seen.add(`${name}:${key}`);
+    const hit = counts[name].get(key);
+    if (hit) hit.count++;
+    else counts[name].set(key, { value: String(value), count: 1 });
+  };
+  for (const { raw, item } of entries) {
+    const seen = new Set();
+    for (const tag of item.tags) add('tag', tag, seen);
+    add('year', item.date ? item.date.slice(0, 4) : null, seen);
+    add('type', item.type, seen);
+    add('outlet', typeof raw?.outlet === 'string' ? raw.outlet.trim() : null, seen);
+  }
+  return Object.fromEntries(FACET_NAMES.map((name) => [name, [...counts[name].values()].sort((a, b) =>
+    name === 'year'
+      ? b.value.localeCompare(a.value)
+      : b.count - a.count || a.value.localeCompare(b.value)
+  )]));
+}
+
+/**
+ * Filter, sort and paginate the items of a manifest.
+ * The result keeps the manifest's own shape (e.g. `bands` stays `bands`) with the
+ * item array replaced by the requested page, plus `page`, `totals` and `facets` metadata.
+ * Returns { ok, data } or { ok: false, message } when the manifest has no item list.
+ */
+function queryManifest(type, data, query, preferredKey) {
+  const itemsKey = getManifestItemsKey(data, preferredKey);
+  if (!itemsKey) {
+    return { ok: false, message: `Manifest type ${type} has no item list to query` };
+  }
+
+  const entries = data[itemsKey].map((raw) => {
+    const item = normalizeManifestItem(raw, type);
+    return { raw, item, pos: getSortPosition(item, query) };
+  });
+  const { matched, page, hasMore, nextCursor } = selectEntries(entries, query);
+
+  const body = { ...data };
+  for (const k of [...MANIFEST_ITEM_KEYS, itemsKey]) {
+    if (Array.isArray(body[k])) delete body[k];
+  }
+  body.type = body.type || type;
+  body[itemsKey] = page.map((e) => e.raw);
+  body.page = {
+    limit: query.limit,
+    returned: page.length,
+    hasMore,
+    nextCursor,
+  };
+  body.totals = { items: entries.length, matched: matched.length };
+  body.facets = countFacets(matched);
+  body.query = describeQuery(query);
+  return { ok: true, data: body };
+}
+
+// Projection views: full items, or summaries without nested image arrays
+const PROJECTION_VIEWS = ['full', 'summary'];
+// Field names that would let the projection read or write object prototypes
+const RESERVED_FIELD_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parse ?view=summary|full and ?fields=a,b.c projection parameters.
+ * Returns { ok, active, projection } or { ok: false, message } for invalid input.
+ */
+function parseManifestProjection(searchParams) {
+  const view = String(searchParams.get('view') || 'full').toLowerCase();
+  if (!PROJECTION_VIEWS.includes(view)) {
+    return { ok: false, message: `view must be one of: ${PROJECTION_VIEWS.join(', ')}` };
+  }
+  const fields = String(searchParams.get('fields') || '')
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+  if (fields.some((f) => !/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(f))) {
+    return { ok: false, message: 'fields must be a comma-separated list of field names (dots for nested fields)' };
+  }
+  const reserved = fields.flatMap((f) => f.split('.')).find((k) => RESERVED_FIELD_NAMES.includes(k));
+  if (reserved) {
+    return { ok: false, message: `fields cannot name ${reserved}` };
+  }
+  return { ok: true, active: view !== 'full' || fields.length > 0, projection: { view, fields } };
+}
+
+/**
+ * Cover image of a manifest item (explicit cover, else first image)
+ */
+function getItemCover(raw) {
+  if (raw.coverImage) return raw.coverImage;
+  if (raw.cover) return raw.cover;
+  return Array.isArray(raw.images) && raw.images.length ? raw.images[0] : null;
+}
+
+/**
+ * Image count of a manifest item
+ */
+function getItemImageCount(raw) {
+  if (typeof raw.totalImages === 'number') return raw.totalImages;
+  return Array.isArray(raw.images) ? raw.images.length : 0;
+}
+
+/**
+ * Project a single manifest item per the requested view and fields
+ */
+function projectManifestItem(raw, projection) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const computed = { coverImage: getItemCover(raw), imageCount: getItemImageCount(raw) };
+  let base = raw;
+  if (projection.view === 'summary') {
+    const { images, ...rest } = raw;
+    base = { ...rest, ...computed };
+  }
+  if (!projection.fields.length) return base;
+
+  // Only own properties are read or merged into, never inherited ones
+  const own = (v, k) => Boolean(v) && typeof v === 'object' && Object.prototype.hasOwnProperty.call(v, k);
+  const out = {};
+  for (const field of projection.fields) {
+    const path = field.split('.');
+    const source = own(base, path[0]) ? base : computed;
+    const value = path.reduce((v, k) => (own(v, k) ? v[k] : undefined), source);
+    if (value === undefined) continue;
+    let target = out;
+    for (const k of path.slice(0, -1)) {
+      target = target[k] = own(target, k) && target[k] && typeof target[k] === 'object' ? target[k] : {};
+    }
+    target[path[path.length - 1]] = value;
+  }
+  return out;
+}
+
+/**
+ * Apply a projection to every item array of a manifest (or query page)
+ */
+function projectManifest(data, projection, preferredKey) {
+  if (!data || typeof data !== 'object') return data;
+  const body = { ...data };
+  for (const k of new Set([...MANIFEST_ITEM_KEYS, preferredKey].filter(Boolean))) {
+    if (Array.isArray(body[k])) body[k] = body[k].map((item) => projectManifestItem(item, projection));
+  }
+  body.view = projection.view;
+  if (projection.fields.length) body.fields = projection.fields;
+  return body;
+}
+
+module.exports = {
+  QUERY_CONFIG,
+  MANIFEST_ITEM_KEYS,
+  MONTH_NAMES,
+  getManifestItemsKey,
+  toIsoDate,
+  getItemDate,
+  normalizeManifestItem,
+  parseInteger,
+  listParam,
+  parseManifestQuery,
+  selectEntries,
+  countFacets,
+  getSortPosition,
+  describeQuery,
+  queryManifest,
+  getItemCover,
+  getItemImageCount,
+  parseManifestProjection,
+  projectManifestItem,
+  projectManifest,
+};
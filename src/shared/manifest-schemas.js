@@ -0,0 +1,295 @@
+/**
+ * Manifest schemas
+ *
+ * Per-type JSON Schemas (draft-07 subset) for the generated portfolio manifests and a
+ * small validator for them. Used by both src/worker.js and the Express API, so both
+ * reject the same broken generator output. Image and totalImages rules come from the
+ * generator's own schema (scripts/utils/manifest-schema.json); everything else only
+ * requires what the generators always write.
+ */
+
+const GENERATOR_SCHEMA = require('../../scripts/utils/manifest-schema.json');
+
+const VALIDATION_CONFIG = {
+  // Violations listed per report; the count keeps going past this
+  maxErrors: 50,
+};
+
+const ISO_DATE = '^\\d{4}-\\d{2}-\\d{2}';
+
+const dateObject = {
+  type: 'object',
+  required: ['iso'],
+  properties: {
+    iso: { type: 'string', pattern: ISO_DATE },
+    display: { type: 'string' },
+  },
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const totalImages = { ...GENERATOR_SCHEMA.properties.totalImages, minimum: 0 };
+
+// An image is a filename, or an object with at least a filename, path or url
+const imageEntry = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      anyOf: [{ required: ['filename'] }, { required: ['path'] }, { required: ['url'] }],
+      properties: {
+        ...GENERATOR_SCHEMA.properties.images.items.properties,
+        path: { type: 'string' },
+        description: { type: 'string' },
+        tags: stringList,
+      },
+    },
+  ],
+};
+
+const imageList = { type: 'array', items: imageEntry };
+
+// Generators copy the first image (a filename or an image object) or write null
+const coverImage = { type: ['string', 'object', 'null'] };
+
+const collectionManifest = {
+  type: 'object',
+  required: ['collections'],
+  properties: {
+    collections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['collectionName', 'images'],
+        properties: {
+          collectionName: { type: 'string', minLength: 1 },
+          folderPath: { type: 'string' },
+          totalImages,
+          images: imageList,
+          tags: stringList,
+        },
+      },
+    },
+  },
+};
+
+const universalManifest = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    totalItems: { type: 'integer', minimum: 0 },
+    totalImages,
+    categories: stringList,
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'folderPath', 'images'],
+        properties: {
+          type: { type: 'string' },
+          category: { type: 'string' },
+          name: { type: 'string', minLength: 1 },
+          folderPath: { type: 'string' },
+          date: dateObject,
+          totalImages,
+          images: imageList,
+          coverImage,
+        },
+      },
+    },
+  },
+};
+
+const MANIFEST_SCHEMAS = {
+  concert: {
+    type: 'object',
+    required: ['bands'],
+    properties: {
+      bands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['bandName', 'images'],
+          properties: {
+            bandName: { type: 'string', minLength: 1 },
+            folderPath: { type: 'string' },
+            dateDisplay: { type: 'string' },
+            concertDate: dateObject,
+            totalImages,
+            images: imageList,
+          },
+        },
+      },
+    },
+  },
+  journalism: {
+    type: 'object',
+    required: ['events'],
+    properties: {
+      tags: stringList,
+      categories: stringList,
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['eventName', 'eventDate', 'images'],
+          properties: {
+            eventName: { type: 'string', minLength: 1 },
+            category: { type: 'string' },
+            tags: stringList,
+            folderPath: { type: 'string' },
+            eventDate: dateObject,
+            dateDisplay: { type: 'string' },
+            images: imageList,
+            published: { type: 'boolean' },
+            outlet: { type: ['string', 'null'] },
+            outletUrl: { type: ['string', 'null'] },
+            articleUrl: { type: ['string', 'null'] },
+          },
+        },
+      },
+    },
+  },
+  events: {
+    type: 'object',
+    required: ['events'],
+    properties: {
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['eventName', 'images'],
+          properties: {
+            eventName: { type: 'string', minLength: 1 },
+            category: { type: 'string' },
+            dateDisplay: { type: 'string' },
+            dateISO: { type: 'string', pattern: ISO_DATE },
+            date: dateObject,
+            images: imageList,
+            totalImages,
+          },
+        },
+      },
+      items: { type: 'array', items: { type: 'object' } },
+    },
+  },
+  nature: collectionManifest,
+  portrait: collectionManifest,
+  featured: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            type: { type: 'string' },
+            coverImage,
+            tags: stringList,
+            images: imageList,
+          },
+        },
+      },
+    },
+  },
+  universal: universalManifest,
+  portfolio: universalManifest,
+};
+
+// Types without a dedicated schema only need to be a JSON object
+const GENERIC_SCHEMA = { type: 'object' };
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema, pushing { path, message } violations into `errors`.
+ * Supports type, enum, required, properties, items, anyOf, if/then, minLength, pattern,
+ * minimum and minItems. Returns the number of violations found (including unlisted ones).
+ */
+function validateSchema(value, schema, path, errors) {
+  const report = (message) => {
+    if (errors.length < VALIDATION_CONFIG.maxErrors) errors.push({ path: path || '/', message });
+    return 1;
+  };
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    return report(`must be ${types.join(' or ')}`);
+  }
+  let count = 0;
+  if (schema.enum && !schema.enum.includes(value)) {
+    count += report(`must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some((s) => validateSchema(value, s, path, []) === 0)) {
+    count += report('does not match any allowed shape');
+  }
+  if (schema.if && validateSchema(value, schema.if, path, []) === 0 && schema.then) {
+    count += validateSchema(value, schema.then, path, errors);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      count += report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      count += report(`must match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    count += report(`must be >= ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      count += report(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((v, i) => { count += validateSchema(v, schema.items, `${path}/${i}`, errors); });
+    }
+  }
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        count += 1;
+        if (errors.length < VALIDATION_CONFIG.maxErrors) errors.push({ path: `${path}/${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) count += validateSchema(value[key], sub, `${path}/${key}`, errors);
+    }
+  }
+  return count;
+}
+
+/**
+ * Validate a parsed manifest against its type's schema.
+ * Returns { valid, schema, errorCount, errors: [{ path, message }] }; paths are JSON Pointers.
+ */
+function validateManifest(type, data) {
+  const schema = MANIFEST_SCHEMAS[type] || GENERIC_SCHEMA;
+  const errors = [];
+  const errorCount = validateSchema(data, schema, '', errors);
+  return {
+    valid: errorCount === 0,
+    schema: MANIFEST_SCHEMAS[type] ? type : 'generic',
+    errorCount,
+    errors,
+  };
+}
+
+module.exports = {
+  VALIDATION_CONFIG,
+  MANIFEST_SCHEMAS,
+  validateManifest,
+};
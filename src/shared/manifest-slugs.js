@@ -0,0 +1,135 @@
+/**
+ * Manifest item slugs
+ *
+ * Stable URL slugs for single manifest items (`bad-omens-2025-03-02`), redirects for
+ * renamed items and near-match suggestions for unknown slugs. Used by both src/worker.js
+ * and the Express API, so both resolve `/api/v1/manifests/:type/items/:slug` alike.
+ */
+
+const { normalizeManifestItem } = require('./manifest-query');
+const { getManifestItems } = require('./manifest-items');
+
+const SLUG_CONFIG = {
+  // Published next to the manifests: { "<type>": { "<old slug>": "<new slug or folder>" } }
+  redirectsFile: 'slug-redirects.json',
+  // Suggestions returned with a 404
+  maxSuggestions: 5,
+  // Minimum similarity (0-1) for a slug to be suggested
+  minSimilarity: 0.5,
+};
+
+/**
+ * URL-safe slug of a string ("Bad Omens & Friends" -> "bad-omens-and-friends")
+ */
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * A manifest's items with the ids used by history and first-seen maps: [{ id, item, raw }].
+ * Repeated ids get #2, #3, ... in manifest order.
+ */
+function keyManifestItems(type, data, preferredKey) {
+  const seen = new Map();
+  return getManifestItems(data, preferredKey).map((raw) => {
+    const item = normalizeManifestItem(raw, type);
+    const n = (seen.get(item.id) || 0) + 1;
+    seen.set(item.id, n);
+    return { id: n > 1 ? `${item.id}#${n}` : item.id, item, raw };
+  });
+}
+
+/**
+ * Slugs for every item of a manifest: [{ slug, id, item, raw }].
+ * An item's own `slug` wins; otherwise title plus date. Items sharing a slug get -2, -3, ...
+ * in the order they were first seen (`firstSeen`: { <id>: ISO timestamp, or null for items
+ * older than the map }), so a folder added later never renumbers the existing slugs. Items
+ * missing from the map count as the newest; ties are ordered by id.
+ */
+function assignItemSlugs(type, data, preferredKey, firstSeen = null) {
+  const seenAt = (key) => {
+    if (!firstSeen || !(key in firstSeen)) return '\uffff';
+    return firstSeen[key] || '';
+  };
+  const entries = keyManifestItems(type, data, preferredKey).map(({ id: key, item, raw }) => {
+    const base = slugify(raw && raw.slug) || [slugify(item.title) || 'item', item.date].filter(Boolean).join('-');
+    return { base, id: item.id, seen: seenAt(key), item, raw };
+  });
+
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.base)) groups.set(entry.base, []);
+    groups.get(entry.base).push(entry);
+  }
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  for (const group of groups.values()) {
+    group.sort((a, b) => compare(a.seen, b.seen) || compare(a.id, b.id));
+    group.forEach((entry, i) => { entry.slug = i === 0 ? entry.base : `${entry.base}-${i + 1}`; });
+  }
+  return entries.map(({ slug, id, item, raw }) => ({ slug, id, item, raw }));
+}
+
+/**
+ * Resolve a slug through a type's redirect map ({ "old-slug": "new-slug or folder path" }).
+ * Follows chains; returns the current slug or null.
+ */
+function resolveSlugRedirect(slugs, redirects, slug) {
+  const seen = new Set();
+  let current = slug;
+  while (redirects && typeof redirects[current] === 'string' && !seen.has(current)) {
+    seen.add(current);
+    const target = redirects[current];
+    const hit = slugs.find((s) => s.slug === target || s.id === target);
+    if (hit) return hit.slug;
+    current = target;
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Slugs most similar to a requested slug, best first: [{ slug, title, date }]
+ */
+function suggestSlugs(slugs, slug) {
+  const wanted = slugify(slug);
+  return slugs
+    .map((s) => {
+      const name = slugify(s.item.title);
+      const similarity = Math.max(
+        1 - editDistance(wanted, s.slug) / Math.max(wanted.length, s.slug.length, 1),
+        // A bookmark without (or with a wrong) date still finds the band or event
+        wanted.startsWith(name) || s.slug.startsWith(wanted) ? 0.75 : 0
+      );
+      return { s, similarity };
+    })
+    .filter((m) => m.similarity >= SLUG_CONFIG.minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity || a.s.slug.localeCompare(b.s.slug))
+    .slice(0, SLUG_CONFIG.maxSuggestions)
+    .map(({ s }) => ({ slug: s.slug, title: s.item.title, date: s.item.date }));
+}
+
+module.exports = {
+  SLUG_CONFIG,
+  slugify,
+  keyManifestItems,
+  assignItemSlugs,
+  resolveSlugRedirect,
+  suggestSlugs,
+};
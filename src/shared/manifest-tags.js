@@ -0,0 +1,46 @@
+/**
+ * Tag taxonomy
+ *
+ * Every tag used across the manifests with counts per type, and tag lookup by name or
+ * slug. Used by both src/worker.js and the Express API.
+ */
+
+const { normalizeManifestItem } = require('./manifest-query');
+const { getManifestItems } = require('./manifest-items');
+const { slugify } = require('./manifest-slugs');
+
+/**
+ * Every tag across manifest sources ([{ type, data, itemsKey }]), most used first:
+ * [{ tag, slug, count, types: { <type>: count } }]. Tags are grouped case-insensitively.
+ */
+function collectTags(sources) {
+  const tags = new Map();
+  for (const { type, data, itemsKey } of sources) {
+    for (const raw of getManifestItems(data, itemsKey)) {
+      const seen = new Set();
+      for (const tag of normalizeManifestItem(raw, type).tags) {
+        const key = tag.trim().toLowerCase();
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        if (!tags.has(key)) tags.set(key, { tag: tag.trim(), slug: slugify(tag), count: 0, types: {} });
+        const entry = tags.get(key);
+        entry.count++;
+        entry.types[type] = (entry.types[type] || 0) + 1;
+      }
+    }
+  }
+  return [...tags.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Find a tag by name (any case) or slug (`published-work`)
+ */
+function findTag(tags, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return tags.find((t) => t.tag.toLowerCase() === wanted) || tags.find((t) => t.slug === slugify(wanted)) || null;
+}
+
+module.exports = {
+  collectTags,
+  findTag,
+};
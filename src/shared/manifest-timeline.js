@@ -0,0 +1,112 @@
+/**
+ * Portfolio timeline
+ *
+ * Groups portfolio items by year and month for archive pages ("2024 -> August -> 6 shoots").
+ * Items without a date field fall back to the dates in their image filenames, parsed by
+ * scripts/utils/shared-date-parsing.js. Used by both src/worker.js and the Express API.
+ */
+
+const { MONTHS, detectDateFromImages } = require('../../scripts/utils/shared-date-parsing');
+const { getItemDate } = require('./manifest-query');
+const { normalizeImage, toPortfolioItem } = require('./manifest-items');
+const { assignItemSlugs } = require('./manifest-slugs');
+
+/**
+ * Item date from its date fields, else from the first dated image filename
+ */
+function detectItemDate(raw) {
+  const date = getItemDate(raw);
+  if (date) return date;
+  const images = (Array.isArray(raw.images) ? raw.images : [])
+    .map((image) => normalizeImage(image))
+    .map((image) => image && image.src);
+  const detected = detectDateFromImages(images);
+  return detected ? detected.iso : null;
+}
+
+/**
+ * Dated timeline entries across sources ([{ type, data, itemsKey, firstSeen }]), newest first, and the
+ * number of undated items
+ */
+function collectTimelineEntries(sources) {
+  const entries = [];
+  let undated = 0;
+  for (const { type, data, itemsKey, firstSeen } of sources) {
+    for (const { slug, raw } of assignItemSlugs(type, data, itemsKey, firstSeen)) {
+      const date = detectItemDate(raw && typeof raw === 'object' ? raw : {});
+      if (!date) {
+        undated++;
+        continue;
+      }
+      entries.push({ ...toPortfolioItem(raw, type), date, slug });
+    }
+  }
+  entries.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+  return { entries, undated };
+}
+
+/**
+ * Cover of a timeline group: the newest item that has one
+ */
+function timelineCover(items) {
+  const item = items.find((i) => i.cover);
+  return item ? { src: item.cover, type: item.type, slug: item.slug, title: item.title } : null;
+}
+
+/**
+ * Month groups of timeline entries (already newest first)
+ */
+function groupTimelineMonths(entries, withItems) {
+  const months = new Map();
+  for (const entry of entries) {
+    const month = parseInt(entry.date.slice(5, 7), 10);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(entry);
+  }
+  return [...months.entries()].map(([month, items]) => ({
+    month,
+    name: MONTHS[month - 1],
+    count: items.length,
+    cover: timelineCover(items),
+    ...(withItems ? {
+      items: items.map((i) => ({
+        ...i,
+        links: { item: `/api/v1/manifests/${i.type}/items/${encodeURIComponent(i.slug)}` },
+      })),
+    } : {}),
+  }));
+}
+
+/**
+ * Timeline of manifest sources. Without a year: every year with its month counts and
+ * covers. With a year: that year's months including their items (null if none).
+ */
+function buildTimeline(sources, year) {
+  const { entries, undated } = collectTimelineEntries(sources);
+  const years = new Map();
+  for (const entry of entries) {
+    const y = entry.date.slice(0, 4);
+    if (!years.has(y)) years.set(y, []);
+    years.get(y).push(entry);
+  }
+  if (year) {
+    const items = years.get(year);
+    if (!items) return null;
+    return { year: parseInt(year, 10), count: items.length, months: groupTimelineMonths(items, true) };
+  }
+  return {
+    totals: { items: entries.length + undated, dated: entries.length, undated },
+    years: [...years.entries()].map(([y, items]) => ({
+      year: parseInt(y, 10),
+      count: items.length,
+      cover: timelineCover(items),
+      months: groupTimelineMonths(items, false),
+      links: { year: `/api/v1/timeline?year=${y}` },
+    })),
+  };
+}
+
+module.exports = {
+  detectItemDate,
+  buildTimeline,
+};
@@ -5,23 +5,97 @@
  * Routes:
  *   - GET  /api/v1/health
  *   - GET  /api/v1/manifests            (list manifest types)
- *   - GET  /api/v1/manifests/:type      (fetch manifest by type)
- *   - GET  /api/v1/blog/posts           (list blog posts)
+ *   - GET  /api/v1/manifests/:type      (fetch manifest by type; ?limit=&cursor=&sort=&since=&until=&tag=&q=&view=&fields=)
+ *   - GET  /api/v1/manifests/:type/items/:slug (single item; 301 for renamed slugs, 404 with suggestions)
+ *   - GET  /api/v1/manifests/:type/history (recorded manifest versions)
+ *   - GET  /api/v1/manifests/:type/diff (added/removed/changed items; ?from=&to=)
+ *   - GET  /api/v1/manifests/:type/changes (incremental changes; ?since=<ETag|version|timestamp>)
+ *   - GET  /api/v1/manifests/:type/validation (schema violations from the latest upstream fetch)
+ *   - GET  /api/v1/items                (normalized items across manifests; ?type=&category=&tag=&q=&limit=&cursor=)
+ *   - GET  /api/v1/tags                 (every tag with counts per type; ?type=)
+ *   - GET  /api/v1/tags/:tag            (items carrying a tag; same parameters as /items)
+ *   - GET  /api/v1/timeline             (items grouped by year and month; ?type=&year=)
+ *   - GET  /api/v1/calendar.ics         (iCalendar feed of dated shoots; /api/v1/calendar/:type.ics per type)
+ *   - GET  /api/v1/new-work/feed.xml    (RSS feed of newly added items; feed.atom for Atom)
+ *   - GET  /api/v1/search               (cross-portfolio search; ?q=&type=&limit=)
+ *   - GET  /api/v1/featured             (featured selection; ?perCategory=&limit=&pin=&exclude=)
+ *   - GET  /api/v1/seo/jsonld/:type     (schema.org JSON-LD graph; /:type/:slug per item, /blog/:slug per post)
+ *   - GET  /api/v1/oembed               (oEmbed for gallery and post URLs; ?url=&maxwidth=&maxheight=&format=json|xml)
+ *   - GET  /embed/:type/:slug           (embeddable gallery page used by oEmbed iframes; /embed/blog/:slug per post)
+ *   - GET  /share/:type/:slug           (Open Graph/Twitter Card page for crawlers; redirects people to the site page)
+ *   - GET  /sitemap.xml                 (sitemap with image entries; an index of /sitemaps/:file when large)
+ *   - GET  /api/v1/blog/posts           (published blog posts; ?status=draft,scheduled,archived|all for authors)
+ *   - GET  /api/v1/blog/posts/:id       (single post with ETag; PUT/PATCH/DELETE with If-Match; /by-slug/:slug)
+ *   - POST /api/v1/blog/posts/:id/previews (expiring draft preview link; GET lists, DELETE revokes)
+ *   - GET  /preview/blog/:token         (draft preview page for link holders; JSON at /api/v1/blog/preview/:token)
+ *   - GET  /api/v1/blog/feed.xml        (RSS 2.0; also feed.atom and feed.json as JSON Feed 1.1)
  *   - POST /api/v1/webhooks/purge       (purge manifest cache - requires secret)
  *   - POST /api/v1/webhooks/warm        (pre-warm manifest cache - requires secret)
  *   - GET  /api/v1/cache/stats          (cache hit/miss stats)
  *
+ * Cron (scheduled): publishes scheduled blog posts once their publishAt has passed.
+ *
  * Configuration (set via Cloudflare Vars or env):
  *   - ALLOWED_ORIGINS: comma-separated list of allowed origins
  *   - MANIFEST_BASE_URL: where manifests are hosted (GitHub Pages)
- *   - MANIFEST_TYPES: optional comma-separated list of manifest types
+ *   - MANIFEST_TYPES: optional comma-separated list of manifest types (fallback when
+ *     ${MANIFEST_BASE_URL}/index.json is not published)
  *   - BLOG_BASE_URL: where blog-posts.json is hosted
+ *   - SITE_URL: public site that blog feed links point at (default https://mcc-cal.com)
  *   - WEBHOOK_SECRET: secret for webhook authentication
+ *   - PREVIEW_TOKEN_SECRET: secret that signs blog draft preview links (previews are off without it)
  *   - RATE_LIMIT_REQUESTS: max requests per window (default 100)
  *   - RATE_LIMIT_WINDOW_MS: rate limit window in ms (default 60000)
  *   - CACHE_TTL_SECONDS: cache TTL in seconds (default 600 = 10 min)
+ *   - FEATURED_PER_CATEGORY, FEATURED_LIMIT: featured defaults (e.g. "4,concert:6" and "12")
+ *   - FEATURED_PINNED, FEATURED_EXCLUDED: comma-separated item references (slug or type:slug)
  */
 
+// Helpers shared with the Express API (src/api); wrangler bundles these CommonJS modules
+import {
+  MONTH_NAMES,
+  getManifestItemsKey,
+  normalizeManifestItem,
+  parseInteger,
+  listParam,
+  parseManifestQuery,
+  queryManifest,
+  getItemCover,
+  getItemImageCount,
+  parseManifestProjection,
+  projectManifestItem,
+  projectManifest
+} from "./shared/manifest-query.js";
+import { AGGREGATE_MANIFEST_TYPES, resolveItemTypes, normalizeImage, queryPortfolioItems } from "./shared/manifest-items.js";
+import { SLUG_CONFIG, slugify, keyManifestItems, assignItemSlugs, resolveSlugRedirect, suggestSlugs } from "./shared/manifest-slugs.js";
+import { collectTags, findTag } from "./shared/manifest-tags.js";
+import { detectItemDate, buildTimeline } from "./shared/manifest-timeline.js";
+import { validateManifest } from "./shared/manifest-schemas.js";
+import { CALENDAR_CONFIG, buildCalendarFeed } from "./shared/calendar.js";
+import {
+  BLOG_POST_STATUSES,
+  uniqueBlogSlug,
+  normalizeBlogPosts,
+  parseBlogPostFields,
+  applyBlogPostFields,
+  getBlogPostStatus,
+  isBlogPostDue,
+  isBlogPostPublic,
+  markBlogPostPublished,
+  publicBlogPosts,
+  settleBlogPostStatus,
+  ifMatchSatisfied
+} from "./shared/blog-posts.js";
+import {
+  BLOG_FEED_CONFIG,
+  getBlogPostSlug,
+  escapeXml,
+  guessImageMimeType,
+  toBlogFeedEntry,
+  renderFeed,
+  renderBlogFeed
+} from "./shared/blog-feed.js";
+
 /** Cache configuration */
 const CACHE_CONFIG = {
   // Default 10 minute TTL for manifests (5-15 min range as specified)
@@ -30,6 +104,12 @@ const CACHE_CONFIG = {
   staleWhileRevalidateSeconds: 3600,
   // Widget HTML TTL (5 minutes, more frequently updated)
   widgetTtlSeconds: 300,
+  // Serve cached/last-known-good manifests for up to a day when upstream errors
+  staleIfErrorSeconds: 86400,
+  // How long a last-known-good copy shields upstream before it is retried
+  staleRetrySeconds: 60,
+  // Abort upstream manifest fetches after this long
+  upstreamTimeoutMs: 8000,
 };
 
 /** Rate limiting configuration */
@@ -38,12 +118,16 @@ const RATE_LIMIT_CONFIG = {
   windowMs: 60000, // 1 minute
 };
 
+// Public read endpoints subject to rate limiting
+const RATE_LIMITED_PATHS = ["/api/v1/manifests", "/api/v1/items", "/api/v1/tags", "/api/v1/timeline", "/api/v1/new-work", "/api/v1/search", "/api/v1/featured", "/api/v1/oembed"];
+
 /** Global cache stats (in-memory, per-isolate) */
 const cacheStats = {
   hits: 0,
   misses: 0,
   purges: 0,
   warms: 0,
+  staleServed: 0,
   lastReset: Date.now(),
 };
 
@@ -82,12 +166,12 @@ function corsHeaders(req, env) {
   const headers = new Headers();
   headers.set("Vary", "Origin");
   headers.set("Access-Control-Allow-Credentials", "true");
-  headers.set("Access-Control-Expose-Headers", "ETag, X-Cache, X-Cache-Hit, X-RateLimit-Remaining");
+  headers.set("Access-Control-Expose-Headers", "ETag, Age, Warning, X-Cache, X-Cache-Hit, X-Stale, X-Partial, X-RateLimit-Remaining");
   if (origin && isOriginAllowed(origin, allowed)) {
     headers.set("Access-Control-Allow-Origin", origin);
   }
-  headers.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Webhook-Secret");
+  headers.set("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match, If-None-Match, X-Webhook-Secret");
   return headers;
 }
 
@@ -202,8 +286,28 @@ function notFound(req) {
   return json({ error: "not_found", message: `No route for ${req.method} ${new URL(req.url).pathname}`, timestamp: new Date().toISOString() }, { status: 404 });
 }
 
+/** Manifest paths by type, used when the upstream index.json does not describe a type */
+const DEFAULT_MANIFEST_PATHS = {
+  concert: "Concert/concert-manifest",
+  events: "Events/events-manifest",
+  journalism: "Journalism/journalism-manifest",
+  nature: "Nature/nature-manifest",
+  portrait: "Portrait/portrait-manifest",
+  featured: "featured-manifest",
+  portfolio: "portfolio-manifest",
+  universal: "portfolio-manifest"
+};
+
+/** Manifest type discovery configuration */
+const DISCOVERY_CONFIG = {
+  // Published next to the manifests: ${MANIFEST_BASE_URL}/index.json
+  indexFile: "index.json",
+  // Per-isolate memo of the resolved registry
+  memoTtlMs: 60000,
+};
+
 /** Helper: get manifest types from env or default list */
-function getManifestTypes(env) {
+function getConfiguredManifestTypes(env) {
   const raw = env?.MANIFEST_TYPES || "";
   const parsed = raw
     .split(",")
@@ -214,36 +318,175 @@ function getManifestTypes(env) {
   return ["concert", "events", "journalism", "nature", "portrait", "portfolio"];
 }
 
+/** Helper: get manifest types from the discovered registry */
+async function getManifestTypes(env) {
+  const registry = await getManifestRegistry(env);
+  return registry.types.map(t => t.type);
+}
+
 /** Helper: get cache TTL from env or default */
 function getCacheTtl(env) {
   const ttl = parseInt(env?.CACHE_TTL_SECONDS, 10);
   return isNaN(ttl) ? CACHE_CONFIG.manifestTtlSeconds : ttl;
 }
 
-/** Helper: build manifest URL */
-function buildManifestUrl(type, env) {
+/** Helper: manifest base URL without trailing slash */
+function getManifestBaseUrl(env) {
   const base = env?.MANIFEST_BASE_URL;
+  return base ? base.replace(/\/$/, "") : null;
+}
+
+/** Helper: build manifest URL (path defaults to the built-in mapping for the type) */
+function buildManifestUrl(type, env, path) {
+  const base = getManifestBaseUrl(env);
   if (!base) return null;
-  
-  // Map type to correct filename pattern
-  const typeMap = {
-    concert: "Concert/concert-manifest",
-    events: "Events/events-manifest", 
-    journalism: "Journalism/journalism-manifest",
-    nature: "Nature/nature-manifest",
-    portrait: "Portrait/portrait-manifest",
-    featured: "featured-manifest",
-    portfolio: "portfolio-manifest",
-    universal: "portfolio-manifest"
+  const rel = (path || DEFAULT_MANIFEST_PATHS[type] || type).replace(/\.json$/, "");
+  return `${base}/${rel}.json`;
+}
+
+/** Helper: title-case fallback for a manifest type name */
+function defaultTypeTitle(type) {
+  return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/** Helper: registry built from MANIFEST_TYPES / defaults */
+function defaultManifestRegistry(env) {
+  return {
+    source: env?.MANIFEST_TYPES ? "env" : "default",
+    types: getConfiguredManifestTypes(env).map(type => ({
+      type,
+      path: `${DEFAULT_MANIFEST_PATHS[type] || type}.json`,
+      title: defaultTypeTitle(type),
+      itemsKey: null,
+      aliases: []
+    }))
   };
-  
-  const path = typeMap[type] || type;
-  return `${base.replace(/\/$/, "")}/${path}.json`;
+}
+
+/**
+ * Helper: validate an upstream index.json.
+ * Accepts { types: [...] }, { types: { name: {...} } } or a bare array. Each entry needs a
+ * `type` (or map key) and may set `path`, `title`, `itemsKey` and `aliases`. Paths must be
+ * relative to MANIFEST_BASE_URL. Returns the entries, or null if nothing usable is found.
+ */
+function parseManifestIndex(data) {
+  let raw = Array.isArray(data) ? data : data?.types;
+  if (raw && !Array.isArray(raw) && typeof raw === "object") {
+    raw = Object.entries(raw).map(([type, entry]) => ({ ...(typeof entry === "object" ? entry : { path: entry }), type }));
+  }
+  if (!Array.isArray(raw)) return null;
+  const seen = new Set();
+  const types = [];
+  for (const entry of raw) {
+    const e = typeof entry === "string" ? { type: entry } : entry;
+    const type = String(e?.type || e?.name || "").trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(type) || seen.has(type)) continue;
+    const path = e.path ? String(e.path).replace(/^\.\//, "") : `${DEFAULT_MANIFEST_PATHS[type] || type}.json`;
+    if (path.startsWith("/") || path.includes("..") || /^[a-z]+:/i.test(path)) continue;
+    seen.add(type);
+    types.push({
+      type,
+      path,
+      title: e.title ? String(e.title) : defaultTypeTitle(type),
+      itemsKey: e.itemsKey || e.itemKey ? String(e.itemsKey || e.itemKey) : null,
+      aliases: Array.isArray(e.aliases) ? e.aliases.map(a => String(a).toLowerCase()) : []
+    });
+  }
+  return types.length ? types : null;
+}
+
+/** Per-isolate memo of the discovered registry */
+let registryMemo = null;
+
+/**
+ * Helper: resolve the manifest type registry.
+ * Reads ${MANIFEST_BASE_URL}/index.json through the edge cache and falls back to
+ * MANIFEST_TYPES / defaults when the index is missing, unreachable or invalid. A missing
+ * index (404) is cached for the same TTL as a found one.
+ */
+async function getManifestRegistry(env) {
+  const base = getManifestBaseUrl(env);
+  if (!base) return defaultManifestRegistry(env);
+  if (registryMemo && registryMemo.base === base && registryMemo.expiresAt > Date.now()) {
+    return registryMemo.registry;
+  }
+
+  const url = `${base}/${DISCOVERY_CONFIG.indexFile}`;
+  const cacheKey = new Request(url, { method: "GET" });
+  const cache = caches.default;
+  let data = null;
+  let fetchedAt = null;
+  let missing = false;
+  try {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      // A cached 404 is kept as a marker so sites without an index are not re-fetched every request
+      missing = cached.headers.get("X-Index-Missing") === "true";
+      data = missing ? null : await cached.json();
+      fetchedAt = cached.headers.get("X-Fetched-At");
+    }
+  } catch {
+    data = null;
+    missing = false;
+  }
+  if (!data && !missing) {
+    try {
+      const resp = await fetch(url, { method: "GET", signal: AbortSignal.timeout(CACHE_CONFIG.upstreamTimeoutMs) });
+      if (resp.ok || resp.status === 404) {
+        missing = !resp.ok;
+        data = missing ? null : await resp.json();
+        fetchedAt = new Date().toISOString();
+        const headers = new Headers({ "Content-Type": "application/json; charset=utf-8", "X-Fetched-At": fetchedAt });
+        if (missing) headers.set("X-Index-Missing", "true");
+        headers.set("Cache-Control", `public, max-age=${getCacheTtl(env)}`);
+        await cache.put(cacheKey, new Response(JSON.stringify(data), { status: 200, headers }));
+      }
+    } catch (err) {
+      console.error("Manifest index fetch failed:", err?.message);
+      data = null;
+    }
+  }
+
+  const types = parseManifestIndex(data);
+  const registry = types
+    ? { source: "index", url, fetchedAt, types }
+    : defaultManifestRegistry(env);
+  registryMemo = { base, registry, expiresAt: Date.now() + DISCOVERY_CONFIG.memoTtlMs };
+  return registry;
+}
+
+/** Helper: forget the discovered registry (edge cache and memo) */
+async function purgeManifestRegistry(env) {
+  registryMemo = null;
+  const base = getManifestBaseUrl(env);
+  if (!base) return false;
+  try {
+    return await caches.default.delete(new Request(`${base}/${DISCOVERY_CONFIG.indexFile}`, { method: "GET" }));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper: resolve a requested type (or alias) to its registry entry and URL.
+ * Types the registry does not list keep the built-in path mapping.
+ */
+async function resolveManifestType(type, env) {
+  const registry = await getManifestRegistry(env);
+  const key = String(type).toLowerCase();
+  const entry = registry.types.find(t => t.type === key || t.aliases.includes(key));
+  if (entry) {
+    return { ...entry, requested: type, url: buildManifestUrl(entry.type, env, entry.path) };
+  }
+  return { type, requested: type, path: null, title: defaultTypeTitle(type), itemsKey: null, aliases: [], url: buildManifestUrl(type, env) };
 }
 
 /** Helper: fetch manifest JSON by type with optional caching */
 async function fetchManifest(type, env) {
-  const url = buildManifestUrl(type, env);
+  const { type: resolvedType, url, itemsKey } = await resolveManifestType(type, env);
+  if (url && UNIVERSAL_MANIFEST_TYPES.includes(resolvedType)) {
+    return buildUniversalManifest(type, env);
+  }
   if (!url) {
     return {
       ok: false,
@@ -260,7 +503,17 @@ async function fetchManifest(type, env) {
     try {
       const data = await cached.json();
       cacheStats.hits++;
-      return { ok: true, status: 200, data, etag: cached.headers.get("ETag") || undefined, fromCache: true };
+      // A last-known-good copy parked in the edge cache while upstream is failing
+      const staleSince = cached.headers.get("X-Last-Known-Good");
+      return {
+        ok: true,
+        status: 200,
+        data,
+        etag: cached.headers.get("ETag") || undefined,
+        lastModified: toHttpDate(cached.headers.get("Last-Modified")) || undefined,
+        fromCache: true,
+        ...(staleSince ? { stale: true, staleAge: ageSeconds(staleSince) } : {})
+      };
     } catch {
       // Fall through to network fetch if cache parse fails
     }
@@ -268,15 +521,21 @@ async function fetchManifest(type, env) {
   
   cacheStats.misses++;
 
+  // Upstream failures fall back to the last known good copy when one is stored
+  const fail = (status, data) => serveLastKnownGood(type, url, env, { ok: false, status, data });
+
   let resp;
   try {
-    resp = await fetch(url, { method: "GET" });
+    resp = await fetch(url, { method: "GET", signal: AbortSignal.timeout(CACHE_CONFIG.upstreamTimeoutMs) });
   } catch (err) {
-    return {
-      ok: false,
-      status: 502,
-      data: { error: "upstream_fetch_failed", message: `Failed to fetch manifest: ${err?.message || "network error"}`, timestamp: new Date().toISOString() }
-    };
+    const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+    return fail(timedOut ? 504 : 502, {
+      error: timedOut ? "upstream_timeout" : "upstream_fetch_failed",
+      message: timedOut
+        ? `Manifest fetch timed out after ${CACHE_CONFIG.upstreamTimeoutMs}ms`
+        : `Failed to fetch manifest: ${err?.message || "network error"}`,
+      timestamp: new Date().toISOString()
+    });
   }
 
   if (resp.status === 404) {
@@ -288,11 +547,7 @@ async function fetchManifest(type, env) {
   }
 
   if (!resp.ok) {
-    return {
-      ok: false,
-      status: resp.status,
-      data: { error: "upstream_error", message: `Upstream returned ${resp.status}`, timestamp: new Date().toISOString() }
-    };
+    return fail(resp.status, { error: "upstream_error", message: `Upstream returned ${resp.status}`, timestamp: new Date().toISOString() });
   }
 
   // Clone response for cache put and JSON parsing
@@ -302,18 +557,45 @@ async function fetchManifest(type, env) {
   try {
     data = await forJson.json();
   } catch (err) {
-    return {
-      ok: false,
-      status: 502,
-      data: { error: "bad_json", message: `Invalid JSON: ${err?.message || "parse error"}`, timestamp: new Date().toISOString() }
-    };
+    const message = `Invalid JSON: ${err?.message || "parse error"}`;
+    await saveValidationReport(type, env, { url, valid: false, schema: null, errorCount: 1, errors: [{ path: "/", message }] });
+    return fail(502, { error: "bad_json", message, timestamp: new Date().toISOString() });
+  }
+
+  // Never cache a manifest that fails its schema; the last good copy is served instead
+  const validation = validateManifest(type, data);
+  await saveValidationReport(type, env, { url, ...validation });
+  if (!validation.valid) {
+    return fail(502, {
+      error: "invalid_manifest",
+      message: `Manifest failed schema validation with ${validation.errorCount} violation(s)`,
+      violations: validation.errors.slice(0, 5),
+      report: `/api/v1/manifests/${type}/validation`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Weak ETag fallback if upstream didn't provide one
+  let etag = resp.headers.get("ETag") || undefined;
+  if (!etag) {
+    try {
+      etag = `W/"${type}-${await sha1Hex(JSON.stringify(data))}"`;
+    } catch {
+      // If hashing fails, leave etag undefined
+    }
   }
 
-  // Populate cache with proper TTL headers (best-effort)
+  // Last-Modified from upstream, else the time we inserted it into the cache
+  const lastModified = toHttpDate(resp.headers.get("Last-Modified")) || new Date().toUTCString();
+
+  // Populate cache with proper TTL headers (best-effort); validators are kept on the
+  // cached copy so cache hits can still answer conditional requests
   const ttl = getCacheTtl(env);
   try {
     const cacheHeaders = new Headers(forCache.headers);
-    cacheHeaders.set("Cache-Control", `public, max-age=${ttl}, stale-while-revalidate=${CACHE_CONFIG.staleWhileRevalidateSeconds}`);
+    cacheHeaders.set("Cache-Control", manifestCacheControl(ttl));
+    cacheHeaders.set("Last-Modified", lastModified);
+    if (etag) cacheHeaders.set("ETag", etag);
     const cacheResponse = new Response(JSON.stringify(data), {
       status: 200,
       headers: cacheHeaders
@@ -323,26 +605,541 @@ async function fetchManifest(type, env) {
     // Ignore cache errors
   }
 
-  // Weak ETag fallback if upstream didn't provide one
-  let etag = resp.headers.get("ETag") || undefined;
-  if (!etag) {
+  await saveLastKnownGood(type, env, { data, etag, lastModified });
+  try {
+    await recordManifestVersion(type, env, { data, etag, lastModified, itemsKey });
+  } catch (err) {
+    console.error("Manifest history update failed:", err?.message);
+  }
+
+  return { ok: true, status: 200, data, etag, lastModified, fromCache: false };
+}
+
+/** Helper: Cache-Control for manifest responses */
+function manifestCacheControl(ttl) {
+  return `public, max-age=${ttl}, stale-while-revalidate=${CACHE_CONFIG.staleWhileRevalidateSeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`;
+}
+
+/** Helper: whole seconds elapsed since an ISO timestamp */
+function ageSeconds(iso) {
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? 0 : Math.max(0, Math.floor((Date.now() - ms) / 1000));
+}
+
+/** Per-isolate memo of the ETag last written to the last-known-good store (saves KV writes) */
+const lastKnownGoodEtags = new Map();
+
+/** Helper: persist the last successfully parsed copy of a manifest to KV */
+async function saveLastKnownGood(type, env, { data, etag, lastModified }) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) return;
+  if (etag && lastKnownGoodEtags.get(type) === etag) return;
+  try {
+    await kv.put(`manifest:lkg:${type}`, JSON.stringify({ data, etag, lastModified, storedAt: new Date().toISOString() }));
+    lastKnownGoodEtags.set(type, etag);
+  } catch (err) {
+    console.error("Last-known-good write failed:", err?.message);
+  }
+}
+
+/**
+ * Helper: answer an upstream failure with the last known good copy from KV.
+ * The copy is parked in the edge cache for a short while so an outage does not
+ * send every request upstream. Returns the original failure when nothing is stored.
+ */
+async function serveLastKnownGood(type, url, env, failure) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) return failure;
+  let stored;
+  try {
+    stored = await kv.get(`manifest:lkg:${type}`, { type: "json" });
+  } catch (_) {
+    stored = null;
+  }
+  if (!stored || stored.data === undefined) return failure;
+
+  cacheStats.staleServed++;
+  console.error(`Serving last known good ${type} manifest: ${failure.data?.error}`);
+
+  try {
+    const headers = new Headers({ "Content-Type": "application/json; charset=utf-8" });
+    headers.set("Cache-Control", `public, max-age=${CACHE_CONFIG.staleRetrySeconds}`);
+    headers.set("X-Last-Known-Good", stored.storedAt);
+    if (stored.etag) headers.set("ETag", stored.etag);
+    if (stored.lastModified) headers.set("Last-Modified", stored.lastModified);
+    await caches.default.put(new Request(url, { method: "GET" }), new Response(JSON.stringify(stored.data), { status: 200, headers }));
+  } catch {
+    // Ignore cache errors
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    data: stored.data,
+    etag: stored.etag,
+    lastModified: stored.lastModified,
+    fromCache: false,
+    stale: true,
+    staleAge: ageSeconds(stored.storedAt),
+    upstreamError: failure.data?.error
+  };
+}
+
+/** Manifest validation configuration (schemas and limits are in src/shared/manifest-schemas.js) */
+const VALIDATION_CONFIG = {
+  kvPrefix: "manifest:validation:",
+};
+
+// Per-isolate validation reports used when MCCAL_KV is not bound
+const validationReportMemo = new Map();
+// Last report written per type (skips KV writes while the outcome is unchanged)
+const lastValidationOutcomes = new Map();
+
+/**
+ * Helper: store the validation report of the latest upstream fetch of a manifest.
+ * `checkedAt` is when this outcome was first seen.
+ */
+async function saveValidationReport(type, env, report) {
+  const outcome = JSON.stringify([report.url, report.valid, report.errorCount, report.errors]);
+  if (lastValidationOutcomes.get(type) === outcome) return;
+  const stored = { ...report, checkedAt: new Date().toISOString() };
+  const kv = env?.MCCAL_KV;
+  if (!kv) {
+    validationReportMemo.set(type, stored);
+    lastValidationOutcomes.set(type, outcome);
+    return;
+  }
+  try {
+    await kv.put(`${VALIDATION_CONFIG.kvPrefix}${type}`, JSON.stringify(stored));
+    lastValidationOutcomes.set(type, outcome);
+  } catch (err) {
+    console.error("Validation report write failed:", err?.message);
+  }
+}
+
+/** Helper: load the validation report of the latest upstream fetch of a manifest */
+async function loadValidationReport(type, env) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) return validationReportMemo.get(type) || null;
+  try {
+    return await kv.get(`${VALIDATION_CONFIG.kvPrefix}${type}`, { type: "json" });
+  } catch {
+    return null;
+  }
+}
+
+/** Manifest history configuration */
+const HISTORY_CONFIG = {
+  kvPrefix: "manifest:history:",
+  // Versions kept per type; the oldest are trimmed first
+  maxVersions: 25,
+};
+
+// Content hash of the newest recorded version per type (skips KV reads for unchanged manifests)
+const latestHistoryHashes = new Map();
+// Per-isolate history used when MCCAL_KV is not bound
+const manifestHistoryMemo = new Map();
+
+/** Helper: load the recorded versions of a manifest, oldest first */
+async function loadManifestHistory(type, env) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) return manifestHistoryMemo.get(type) || [];
+  try {
+    const stored = await kv.get(`${HISTORY_CONFIG.kvPrefix}${type}`, { type: "json" });
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Helper: persist the recorded versions of a manifest */
+async function saveManifestHistory(type, env, versions) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) {
+    manifestHistoryMemo.set(type, versions);
+    return;
+  }
+  try {
+    await kv.put(`${HISTORY_CONFIG.kvPrefix}${type}`, JSON.stringify(versions));
+  } catch (err) {
+    console.error("Manifest history write failed:", err?.message);
+  }
+}
+
+/**
+ * Helper: fingerprint a manifest's items as [{ id, title, hash }] so versions can be diffed
+ * without keeping every copy. Duplicate ids get a #n suffix.
+ */
+async function fingerprintManifestItems(type, data, preferredKey) {
+  return Promise.all(keyManifestItems(type, data, preferredKey).map(async ({ id, item, raw }) => ({
+    id,
+    title: item.title,
+    hash: (await sha1Hex(JSON.stringify(raw))).slice(0, 12)
+  })));
+}
+
+/**
+ * Helper: append a version to a manifest's history when its content differs from the
+ * newest recorded version. Returns true when a version was added.
+ */
+async function recordManifestVersion(type, env, { data, etag, lastModified, itemsKey }) {
+  const hash = await sha1Hex(JSON.stringify(data));
+  if (latestHistoryHashes.get(type) === hash) return false;
+
+  const versions = await loadManifestHistory(type, env);
+  const latest = versions[versions.length - 1];
+  if (latest && latest.hash === hash) {
+    latestHistoryHashes.set(type, hash);
+    return false;
+  }
+
+  const version = {
+    version: hash.slice(0, 12),
+    hash,
+    etag: etag || null,
+    lastModified: lastModified || null,
+    recordedAt: new Date().toISOString(),
+    items: await fingerprintManifestItems(type, data, itemsKey)
+  };
+  versions.push(version);
+  const retained = versions.slice(-HISTORY_CONFIG.maxVersions);
+  await saveManifestHistory(type, env, retained);
+  latestHistoryHashes.set(type, hash);
+  await recordFirstSeen(type, env, retained);
+  return true;
+}
+
+/**
+ * Find a recorded version by version id, content hash or ETag, or the version that was
+ * current at an ISO timestamp. Returns null when nothing matches.
+ */
+function findManifestVersion(versions, ref) {
+  if (!ref) return null;
+  const opaque = s => String(s).trim().replace(/^W\//, "").replace(/^"|"$/g, "");
+  const wanted = opaque(ref);
+  const exact = versions.find(v => v.version === wanted || v.hash === wanted || (v.etag && opaque(v.etag) === wanted));
+  if (exact) return exact;
+  if (!/^\d{4}-\d{2}-\d{2}/.test(wanted)) return null;
+  const at = Date.parse(wanted);
+  if (isNaN(at)) return null;
+  return [...versions].reverse().find(v => Date.parse(v.recordedAt) <= at) || null;
+}
+
+/** Public summary of a recorded version (without the item fingerprints) */
+function describeManifestVersion(v) {
+  return {
+    version: v.version,
+    etag: v.etag,
+    lastModified: v.lastModified,
+    recordedAt: v.recordedAt,
+    items: v.items.length
+  };
+}
+
+/**
+ * Helper: fetch a manifest and load its history, recording the current version first
+ * (edge-cache hits never reach the recording step in fetchManifest). Stale copies and partial
+ * universal manifests are not recorded: a missing source would show its items as removed.
+ */
+async function getManifestHistory(type, env) {
+  const result = await fetchManifest(type, env);
+  if (!result.ok) return { ok: false, result };
+  if (!result.stale && !result.partial) {
+    const { itemsKey } = await resolveManifestType(type, env);
+    await recordManifestVersion(type, env, { data: result.data, etag: result.etag, lastModified: result.lastModified, itemsKey });
+  }
+  return { ok: true, result, versions: await loadManifestHistory(type, env) };
+}
+
+/**
+ * Items added, removed and changed between two recorded versions, as { id, title } lists
+ */
+function diffManifestVersions(from, to) {
+  const before = new Map(from.items.map(i => [i.id, i]));
+  const after = new Map(to.items.map(i => [i.id, i]));
+  const pick = ({ id, title }) => ({ id, title });
+  return {
+    added: to.items.filter(i => !before.has(i.id)).map(pick),
+    removed: from.items.filter(i => !after.has(i.id)).map(pick),
+    changed: to.items.filter(i => before.has(i.id) && before.get(i.id).hash !== i.hash).map(pick)
+  };
+}
+
+/** Helper: normalize an HTTP date header value (null if missing or unparseable) */
+function toHttpDate(value) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : new Date(ms).toUTCString();
+}
+
+/**
+ * Helper: evaluate If-None-Match / If-Modified-Since against a representation's validators.
+ * If-None-Match wins when present (RFC 9110 13.2.2); ETags compare weakly.
+ */
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    const opaque = t => t.trim().replace(/^W\//, "");
+    return ifNoneMatch.split(",").some(t => t.trim() === "*" || opaque(t) === opaque(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers.get("If-Modified-Since") || "");
+  const modified = Date.parse(lastModified || "");
+  if (isNaN(ifModifiedSince) || isNaN(modified)) return false;
+  // HTTP dates have second precision
+  return Math.floor(modified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/** Helper: 304 response carrying the validators and caching headers of the full response */
+function notModified(headers) {
+  const out = new Headers(headers);
+  out.delete("Content-Type");
+  out.delete("Content-Length");
+  return new Response(null, { status: 304, headers: out });
+}
+
+/** Helper: SHA-1 hex digest of a string */
+async function sha1Hex(str) {
+  const enc = new TextEncoder().encode(str);
+  const hashBuf = await crypto.subtle.digest("SHA-1", enc);
+  return Array.from(new Uint8Array(hashBuf)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Helper: derive a weak ETag for a variant (query page, projection) of a manifest */
+async function deriveVariantEtag(etag, variant) {
+  if (!etag || !variant) return etag;
+  try {
+    const base = etag.replace(/^W\//, "").replace(/"/g, "");
+    return `W/"${base}-${(await sha1Hex(variant)).slice(0, 16)}"`;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Helper: fetch several manifests in parallel.
+ * Returns { sources: [{ type, title, path, data, itemsKey, firstSeen, etag, lastModified, fromCache,
+ * stale, staleAge }], unavailable: [{ type, status, error }] }. `firstSeen` is the type's
+ * first-seen map (see recordFirstSeen), which numbers colliding item slugs.
+ */
+async function fetchManifestSources(types, env) {
+  const results = await Promise.all(types.map(async type => {
+    const result = await fetchManifest(type, env);
+    const { itemsKey, title, path } = await resolveManifestType(type, env);
+    const firstSeen = result.ok ? await loadFirstSeen(type, env) : null;
+    return { type, itemsKey, title, path, result, firstSeen };
+  }));
+  const sources = [];
+  const unavailable = [];
+  for (const { type, itemsKey, title, path, result, firstSeen } of results) {
+    if (result.ok) {
+      sources.push({
+        type,
+        title,
+        path,
+        data: result.data,
+        itemsKey,
+        firstSeen: firstSeen ? firstSeen.items : null,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        fromCache: Boolean(result.fromCache),
+        stale: Boolean(result.stale),
+        ...(result.stale ? { staleAge: result.staleAge } : {})
+      });
+    } else {
+      unavailable.push({ type, status: result.status, error: result.data?.error || "fetch_failed" });
+    }
+  }
+  return { sources, unavailable };
+}
+
+/*
+ * Universal manifest: built at the edge from the per-type manifests instead of the
+ * committed portfolio-manifest.json, so it always matches its inputs.
+ * Same item shape as scripts/_website-scripts-archived/generate-universal-manifest.js.
+ */
+const UNIVERSAL_MANIFEST_TYPES = ["universal", "portfolio"];
+
+// Manifest title -> item category (inferCategoryFromPath in the archived script)
+const UNIVERSAL_CATEGORY_LABELS = {
+  Concert: "Concert Photography",
+  Journalism: "Journalism",
+  Event: "Event Photography",
+  Events: "Event Photography",
+  Portrait: "Portrait Photography",
+  Portraits: "Portrait Photography",
+  Wedding: "Wedding Photography",
+  Weddings: "Wedding Photography",
+  Street: "Street Photography",
+  Nature: "Nature Photography",
+  Architecture: "Architecture Photography",
+};
+
+/** Helper: a per-type manifest item as a universal manifest item */
+function toUniversalItem(source, { slug, id, item, raw }) {
+  const entry = raw && typeof raw === "object" ? raw : {};
+  // Folder paths are relative to the type's folder; universal paths start at Portfolios/
+  const dir = (source.path || DEFAULT_MANIFEST_PATHS[source.type] || "").split("/").slice(0, -1).join("/");
+  const folder = item.folder || "";
+  const folderPath = dir && !folder.startsWith(`${dir}/`) ? [dir, folder].filter(Boolean).join("/") : folder;
+  const iso = detectItemDate(entry);
+  const dateDisplay = entry.dateDisplay || formatDisplayDate(iso);
+  const images = Array.isArray(entry.images) ? entry.images : [];
+  const cover = normalizeImage(getItemCover(entry));
+  return {
+    type: source.title,
+    category: UNIVERSAL_CATEGORY_LABELS[source.title] || `${source.title} Photography`,
+    ...(entry.category ? { subcategory: String(entry.category) } : {}),
+    name: item.title,
+    folderPath,
+    ...(dateDisplay ? { dateDisplay } : {}),
+    ...(iso ? { date: { iso, display: dateDisplay } } : {}),
+    totalImages: getItemImageCount(entry),
+    images,
+    ...(cover ? { coverImage: cover.src } : {}),
+    ...(item.tags.length ? { tags: item.tags } : {}),
+    sourceType: source.type,
+    sourceId: id,
+    slug
+  };
+}
+
+/**
+ * Helper: build the universal manifest from every non-aggregate manifest type, fetched in
+ * parallel through fetchManifest (so each source keeps its own edge cache and last known
+ * good copy). A failing source is left out and reported under `sources`; the result is
+ * then flagged `partial`. Returns the same shape as fetchManifest.
+ */
+async function buildUniversalManifest(type, env) {
+  const types = (await getManifestTypes(env)).filter(t => !AGGREGATE_MANIFEST_TYPES.includes(t));
+  const { sources, unavailable } = await fetchManifestSources(types, env);
+  if (!sources.length) {
+    return {
+      ok: false,
+      status: 502,
+      data: {
+        error: "upstream_unavailable",
+        message: "No source manifest for the universal manifest could be fetched",
+        unavailable,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  const items = [];
+  const portfolioSummary = {};
+  const sourceInfo = {};
+  for (const source of sources) {
+    const sourceItems = assignItemSlugs(source.type, source.data, source.itemsKey, source.firstSeen).map(e => toUniversalItem(source, e));
+    items.push(...sourceItems);
+    portfolioSummary[source.title] = {
+      count: sourceItems.length,
+      totalImages: sourceItems.reduce((sum, i) => sum + i.totalImages, 0)
+    };
+    sourceInfo[source.type] = {
+      ok: true,
+      items: sourceItems.length,
+      etag: source.etag || null,
+      lastModified: source.lastModified || null,
+      stale: source.stale
+    };
+  }
+  for (const { type: failed, status, error } of unavailable) {
+    sourceInfo[failed] = { ok: false, status, error };
+  }
+  items.sort((a, b) =>
+    (b.date?.iso || "").localeCompare(a.date?.iso || "") || a.name.localeCompare(b.name)
+  );
+
+  // Derived from the sources so identical inputs give an identical manifest and ETag
+  const modified = sources.map(s => Date.parse(s.lastModified)).filter(ms => !isNaN(ms));
+  const lastModified = modified.length ? new Date(Math.max(...modified)).toUTCString() : undefined;
+  const partial = unavailable.length > 0;
+  const data = {
+    version: "1.0.0",
+    generated: lastModified ? new Date(lastModified).toISOString() : null,
+    generatedBy: "edge-universal",
+    totalPortfolios: sources.length,
+    totalItems: items.length,
+    totalImages: items.reduce((sum, i) => sum + i.totalImages, 0),
+    categories: [...new Set(items.map(i => i.category))].sort(),
+    portfolioSummary,
+    sources: sourceInfo,
+    partial,
+    items
+  };
+  const etag = `W/"${type}-${(await sha1Hex(JSON.stringify(sources.map(s => [s.type, s.etag]).concat(unavailable.map(u => [u.type, null]))))).slice(0, 16)}"`;
+
+  // Only record when a source was refetched: cached sources were recorded when they
+  // were fetched, and a partial manifest would record every missing source's items as removed
+  if (!partial && !sources.every(s => s.fromCache)) {
+    await saveValidationReport(type, env, { url: null, ...validateManifest(type, data) });
     try {
-      const str = JSON.stringify(data);
-      const enc = new TextEncoder().encode(str);
-      const hashBuf = await crypto.subtle.digest("SHA-1", enc);
-      const hashArr = Array.from(new Uint8Array(hashBuf)).map(b => b.toString(16).padStart(2, "0")).join("");
-      etag = `W/"${type}-${hashArr}"`;
-    } catch {
-      // If hashing fails, leave etag undefined
+      await recordManifestVersion(type, env, { data, etag, lastModified, itemsKey: "items" });
+    } catch (err) {
+      console.error("Manifest history update failed:", err?.message);
+    }
+  }
+
+  const staleAges = sources.filter(s => s.stale).map(s => s.staleAge || 0);
+  return {
+    ok: true,
+    status: 200,
+    data,
+    etag,
+    lastModified,
+    fromCache: sources.every(s => s.fromCache),
+    ...(partial ? { partial: true } : {}),
+    ...(staleAges.length ? { stale: true, staleAge: Math.max(...staleAges) } : {})
+  };
+}
+
+/** Helper: slug redirect map published next to the manifests (edge-cached; {} when absent) */
+async function fetchSlugRedirects(env) {
+  const base = getManifestBaseUrl(env);
+  if (!base) return {};
+  const url = `${base}/${SLUG_CONFIG.redirectsFile}`;
+  const cacheKey = new Request(url, { method: "GET" });
+  const cache = caches.default;
+  let data = null;
+  try {
+    const cached = await cache.match(cacheKey);
+    if (cached) data = await cached.json();
+  } catch {
+    data = null;
+  }
+  if (!data) {
+    try {
+      const resp = await fetch(url, { method: "GET", signal: AbortSignal.timeout(CACHE_CONFIG.upstreamTimeoutMs) });
+      // A missing file is cached as {} so every unknown slug does not refetch it
+      data = resp.ok ? await resp.json() : {};
+      if (resp.ok || resp.status === 404) {
+        const headers = new Headers({ "Content-Type": "application/json; charset=utf-8" });
+        headers.set("Cache-Control", `public, max-age=${getCacheTtl(env)}`);
+        await cache.put(cacheKey, new Response(JSON.stringify(data), { status: 200, headers }));
+      }
+    } catch (err) {
+      console.error("Slug redirects fetch failed:", err?.message);
+      data = {};
     }
   }
+  return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+}
 
-  return { ok: true, status: 200, data, etag, fromCache: false };
+/** Helper: forget the cached slug redirect map */
+async function purgeSlugRedirects(env) {
+  const base = getManifestBaseUrl(env);
+  if (!base) return false;
+  try {
+    return await caches.default.delete(new Request(`${base}/${SLUG_CONFIG.redirectsFile}`, { method: "GET" }));
+  } catch {
+    return false;
+  }
 }
 
 /** Helper: purge manifest from edge cache */
 async function purgeManifestCache(type, env) {
-  const url = buildManifestUrl(type, env);
+  const { url } = await resolveManifestType(type, env);
   if (!url) return { ok: false, message: "Invalid type or missing config" };
   
   const cacheKey = new Request(url, { method: "GET" });
@@ -380,31 +1177,42 @@ async function purgeManifestCache(type, env) {
 /** Helper: warm manifest cache (fetch and store) */
 async function warmManifestCache(type, env) {
   const result = await fetchManifest(type, env);
-  if (result.ok && !result.fromCache) {
+  if (result.ok && !result.fromCache && !result.stale) {
     cacheStats.warms++;
   }
   return {
-    ok: result.ok,
+    // A last-known-good fallback means upstream is failing, so the warm did not happen
+    ok: result.ok && !result.stale,
     type,
     fromCache: result.fromCache,
-    status: result.status
+    status: result.status,
+    ...(result.stale ? { stale: true, upstreamError: result.upstreamError } : {})
   };
 }
 
 /** Helper: purge all manifest caches */
 async function purgeAllManifestCaches(env) {
-  const types = getManifestTypes(env);
+  const types = await getManifestTypes(env);
   const results = await Promise.all(types.map(t => purgeManifestCache(t, env)));
+  // Re-read index.json on next use so newly published types are discovered
+  const registryPurged = await purgeManifestRegistry(env);
+  const searchIndexPurged = await purgeSearchIndex(env);
+  const slugRedirectsPurged = await purgeSlugRedirects(env);
+  const sitemapPurged = await purgeSitemap(env);
   return {
     purged: results.filter(r => r.ok && r.deleted).length,
     total: types.length,
+    registryPurged,
+    searchIndexPurged,
+    slugRedirectsPurged,
+    sitemapPurged,
     results
   };
 }
 
 /** Helper: warm all manifest caches */
 async function warmAllManifestCaches(env) {
-  const types = getManifestTypes(env);
+  const types = await getManifestTypes(env);
   const results = await Promise.all(types.map(t => warmManifestCache(t, env)));
   return {
     warmed: results.filter(r => r.ok && !r.fromCache).length,
@@ -415,13 +1223,444 @@ async function warmAllManifestCaches(env) {
   };
 }
 
-/** Router implementation */
-class Router {
-  constructor() {
-    this.routes = [];
-  }
-  add(method, pattern, handler) {
-    const parts = pattern.split("/").filter(Boolean);
+/** Search configuration */
+const SEARCH_CONFIG = {
+  kvKey: "search:index",
+  excludedTypes: AGGREGATE_MANIFEST_TYPES,
+  defaultLimit: 20,
+  maxLimit: 50,
+  minQueryLength: 2,
+};
+
+// Field weights for ranking: a title match outranks a tag, which outranks a caption
+const SEARCH_FIELDS = [
+  ["title", 8],
+  ["tags", 5],
+  ["category", 4],
+  ["outlet", 4],
+  ["folder", 2],
+  ["captions", 1],
+  ["descriptions", 1],
+];
+
+// Per-isolate copy of the search index (also persisted to KV when bound)
+let searchIndexMemo = null;
+
+/**
+ * Flatten a raw manifest item into the searchable document stored in the index
+ */
+function buildSearchDocument(raw, type, slug) {
+  const item = normalizeManifestItem(raw, type);
+  const captions = new Set();
+  const descriptions = new Set();
+  if (raw?.caption) captions.add(String(raw.caption));
+  if (raw?.description) descriptions.add(String(raw.description));
+  for (const img of Array.isArray(raw?.images) ? raw.images : []) {
+    if (!img || typeof img !== "object") continue;
+    if (img.caption) captions.add(String(img.caption));
+    if (img.description) descriptions.add(String(img.description));
+  }
+  return {
+    ...item,
+    slug,
+    category: raw?.category ? String(raw.category) : null,
+    outlet: raw?.outlet ? String(raw.outlet) : null,
+    cover: raw && typeof raw === "object" ? getItemCover(raw) : null,
+    captions: [...captions],
+    descriptions: [...descriptions],
+  };
+}
+
+/** Helper: build the cross-portfolio search index from the per-type manifests */
+async function buildSearchIndex(env) {
+  const types = (await getManifestTypes(env)).filter(t => !SEARCH_CONFIG.excludedTypes.includes(t));
+  const fetched = await fetchManifestSources(types, env);
+  const sources = {};
+  const docs = [];
+  for (const { type, status, error } of fetched.unavailable) {
+    sources[type] = { ok: false, status, error };
+  }
+  for (const { type, data, itemsKey, firstSeen, etag, stale } of fetched.sources) {
+    const items = assignItemSlugs(type, data, itemsKey, firstSeen);
+    for (const { raw, slug } of items) docs.push(buildSearchDocument(raw, type, slug));
+    sources[type] = { ok: true, items: items.length, etag: etag || null, ...(stale ? { stale: true } : {}) };
+  }
+
+  const index = { builtAt: new Date().toISOString(), sources, docs };
+  searchIndexMemo = index;
+  if (env?.MCCAL_KV) {
+    try {
+      await env.MCCAL_KV.put(SEARCH_CONFIG.kvKey, JSON.stringify(index));
+    } catch {
+      // The in-memory copy still serves this isolate
+    }
+  }
+  return index;
+}
+
+/**
+ * Helper: load the search index (memory, then KV, then a fresh build).
+ * An index older than the manifest TTL is served as-is while a rebuild runs in the background.
+ */
+async function loadSearchIndex(env, ctx) {
+  let index = searchIndexMemo;
+  if (!index && env?.MCCAL_KV) {
+    try {
+      index = await env.MCCAL_KV.get(SEARCH_CONFIG.kvKey, { type: "json" });
+    } catch {
+      index = null;
+    }
+  }
+  if (!index || !Array.isArray(index.docs)) return buildSearchIndex(env);
+
+  searchIndexMemo = index;
+  if (ageSeconds(index.builtAt) > getCacheTtl(env) && ctx?.waitUntil) {
+    ctx.waitUntil(buildSearchIndex(env).catch(() => null));
+  }
+  return index;
+}
+
+/** Helper: drop the search index so the next search rebuilds it */
+async function purgeSearchIndex(env) {
+  searchIndexMemo = null;
+  if (!env?.MCCAL_KV) return true;
+  try {
+    await env.MCCAL_KV.delete(SEARCH_CONFIG.kvKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Helper: rebuild the search index and summarize it for webhook responses */
+async function rebuildSearchIndex(env) {
+  const index = await buildSearchIndex(env);
+  return { builtAt: index.builtAt, documents: index.docs.length, sources: index.sources };
+}
+
+/**
+ * Split a search query into lower-cased terms
+ */
+function tokenizeSearchQuery(q) {
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .map(t => t.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Score a search document against query terms. Every term must match some field;
+ * matches at the start of a word count double. Returns null when a term is missing.
+ */
+function scoreSearchDocument(doc, terms, phrase) {
+  const texts = {
+    title: doc.title,
+    tags: doc.tags.join(" "),
+    category: doc.category,
+    outlet: doc.outlet,
+    folder: doc.folder,
+    captions: doc.captions.join(" "),
+    descriptions: doc.descriptions.join(" "),
+  };
+  let score = 0;
+  const matched = new Set();
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of SEARCH_FIELDS) {
+      const text = texts[field] ? texts[field].toLowerCase() : "";
+      const at = text.indexOf(term);
+      if (at === -1) continue;
+      const wordStart = at === 0 || /[^\p{L}\p{N}]/u.test(text[at - 1]);
+      best = Math.max(best, weight * (wordStart ? 2 : 1));
+      matched.add(field);
+    }
+    if (!best) return null;
+    score += best;
+  }
+  const title = doc.title.toLowerCase();
+  if (title === phrase) score += 20;
+  else if (terms.length > 1 && title.includes(phrase)) score += 10;
+  return { score, matched: SEARCH_FIELDS.map(([f]) => f).filter(f => matched.has(f)) };
+}
+
+/**
+ * Rank index documents for a query. Ties go to the newest item.
+ */
+function searchIndex(index, { q, types, limit }) {
+  const terms = tokenizeSearchQuery(q);
+  const phrase = terms.join(" ");
+  const hits = [];
+  for (const doc of index.docs) {
+    if (types.length && !types.includes(doc.type)) continue;
+    const scored = scoreSearchDocument(doc, terms, phrase);
+    if (scored) hits.push({ doc, ...scored });
+  }
+  hits.sort((a, b) =>
+    b.score - a.score ||
+    (b.doc.date || "").localeCompare(a.doc.date || "") ||
+    a.doc.title.localeCompare(b.doc.title)
+  );
+  return {
+    total: hits.length,
+    hits: hits.slice(0, limit).map(({ doc, score, matched }) => ({
+      type: doc.type,
+      id: doc.id,
+      slug: doc.slug || null,
+      title: doc.title,
+      date: doc.date,
+      tags: doc.tags,
+      category: doc.category,
+      outlet: doc.outlet,
+      folder: doc.folder,
+      cover: doc.cover,
+      score,
+      matched,
+      links: {
+        manifest: `/api/v1/manifests/${doc.type}`,
+        // Indexes built before slugs existed fall back to a filtered manifest query
+        item: doc.slug
+          ? `/api/v1/manifests/${doc.type}/items/${encodeURIComponent(doc.slug)}`
+          : `/api/v1/manifests/${doc.type}?q=${encodeURIComponent(doc.title)}`,
+      },
+    })),
+  };
+}
+
+/*
+ * Featured selection: the newest items per portfolio category, computed at the edge.
+ * Ported from scripts/_website-scripts-archived/generate-featured-manifest.js, which wrote
+ * featured-manifest.json offline.
+ */
+const FEATURED_CONFIG = {
+  // Source manifest type -> category label used by the featured widget
+  categories: { concert: "Concert", events: "Events", journalism: "Journalism" },
+  itemsPerCategory: 4,
+  totalLimit: 12,
+  maxItemsPerCategory: 24,
+  maxTotalLimit: 48,
+};
+
+const FEATURED_CATEGORY_LABELS = {
+  Concert: "Concert Photography",
+  Events: "Event Photography",
+  Journalism: "Journalism",
+};
+
+// Tags added to every item of a category (cleanFeaturedItem in the archived script)
+const FEATURED_CATEGORY_TAGS = {
+  Concert: ["Live Music", "Concert", "Performance"],
+  Events: ["Event", "Corporate", "Professional"],
+  Journalism: ["Documentary", "Journalism", "Story"],
+};
+
+/** Helper: "August 2025" for a YYYY-MM-DD date */
+function formatDisplayDate(iso) {
+  if (!iso) return "";
+  const month = MONTH_NAMES[parseInt(iso.slice(5, 7), 10) - 1];
+  return month ? `${month.charAt(0).toUpperCase()}${month.slice(1)} ${iso.slice(0, 4)}` : "";
+}
+
+/**
+ * Helper: featured rules from env (FEATURED_*) overridden by query parameters.
+ * `perCategory` takes a number and/or `type:number` pairs; `pin`/`exclude` take item
+ * references (`slug`, `type:slug`, `type:id`) and add to the configured lists.
+ */
+function parseFeaturedRules(searchParams, env) {
+  const list = value => String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+  const fail = message => ({ ok: false, message });
+  const perCategory = {};
+  let itemsPerCategory = FEATURED_CONFIG.itemsPerCategory;
+  let totalLimit = FEATURED_CONFIG.totalLimit;
+
+  const perCategorySpecs = [
+    ...list(env?.FEATURED_PER_CATEGORY).map(spec => ({ spec, source: "FEATURED_PER_CATEGORY" })),
+    ...searchParams.getAll("perCategory").flatMap(list).map(spec => ({ spec, source: "perCategory" }))
+  ];
+  for (const { spec, source } of perCategorySpecs) {
+    const [name, value] = spec.includes(":") ? spec.split(":") : [null, spec];
+    const n = parseInt(value, 10);
+    if (!/^\d+$/.test(value.trim()) || isNaN(n)) {
+      return fail(`${source} must be a number or type:number pairs`);
+    }
+    const limit = Math.min(n, FEATURED_CONFIG.maxItemsPerCategory);
+    if (name === null) {
+      itemsPerCategory = limit;
+    } else {
+      const type = name.trim().toLowerCase();
+      if (!FEATURED_CONFIG.categories[type]) {
+        return fail(`Unknown featured category in ${source}: ${type} (use ${Object.keys(FEATURED_CONFIG.categories).join(", ")})`);
+      }
+      perCategory[type] = limit;
+    }
+  }
+
+  for (const [source, value] of [["FEATURED_LIMIT", env?.FEATURED_LIMIT], ["limit", searchParams.get("limit")]]) {
+    if (value === undefined || value === null || value === "") continue;
+    const n = parseInteger(value);
+    if (n === null || n < 1) return fail(`${source} must be a positive integer`);
+    totalLimit = Math.min(n, FEATURED_CONFIG.maxTotalLimit);
+  }
+
+  const limits = {};
+  for (const type of Object.keys(FEATURED_CONFIG.categories)) {
+    limits[type] = perCategory[type] ?? itemsPerCategory;
+  }
+  return {
+    ok: true,
+    rules: {
+      itemsPerCategory,
+      perCategory: limits,
+      totalLimit,
+      pinned: [...new Set([...list(env?.FEATURED_PINNED), ...searchParams.getAll("pin").flatMap(list)])],
+      excluded: [...new Set([...list(env?.FEATURED_EXCLUDED), ...searchParams.getAll("exclude").flatMap(list)])]
+    }
+  };
+}
+
+/** Helper: whether an item reference (`slug`, `type:slug`, `type:id`, `id`) names an entry */
+function matchesFeaturedRef(entry, ref) {
+  const sep = ref.indexOf(":");
+  const type = sep > 0 ? ref.slice(0, sep).toLowerCase() : null;
+  if (type && FEATURED_CONFIG.categories[type]) {
+    const key = ref.slice(sep + 1);
+    return entry.type === type && (entry.slug === key || entry.id === key);
+  }
+  return entry.slug === ref || entry.id === ref;
+}
+
+/** Helper: a raw item in the featured-manifest.json item shape (cleanFeaturedItem) */
+function toFeaturedItem(entry, pinned) {
+  const { raw, type, slug, id, item, date } = entry;
+  const category = FEATURED_CONFIG.categories[type];
+  const cover = normalizeImage(getItemCover(raw));
+  const tags = [...item.tags];
+  const existing = new Set(tags.map(t => t.toLowerCase()));
+  for (const tag of FEATURED_CATEGORY_TAGS[category] || []) {
+    if (!existing.has(tag.toLowerCase())) tags.push(tag);
+  }
+  return {
+    ...raw,
+    id,
+    slug,
+    title: item.title,
+    type: category,
+    category: FEATURED_CATEGORY_LABELS[category] || category,
+    date,
+    dateDisplay: formatDisplayDate(date) || raw.dateDisplay || "",
+    folderPath: item.folder || "",
+    coverImage: cover ? cover.src : null,
+    totalImages: getItemImageCount(raw),
+    images: Array.isArray(raw.images) ? raw.images : [],
+    tags,
+    ...(pinned ? { pinned: true } : {})
+  };
+}
+
+/**
+ * Helper: select featured items from the category manifests.
+ * Pinned items come first in pin order and count towards their category's limit; the
+ * rest are each category's newest items, merged newest first and cut to the total limit.
+ * Excluded items are never selected, even when pinned.
+ */
+function selectFeaturedItems(sources, rules) {
+  const entries = [];
+  for (const { type, data, itemsKey, firstSeen } of sources) {
+    for (const { slug, id, item, raw } of assignItemSlugs(type, data, itemsKey, firstSeen)) {
+      const entry = { type, slug, id, item, raw: raw && typeof raw === "object" ? raw : {} };
+      entry.date = detectItemDate(entry.raw);
+      if (rules.excluded.some(ref => matchesFeaturedRef(entry, ref))) continue;
+      entries.push(entry);
+    }
+  }
+
+  const pinned = [];
+  const unmatched = [];
+  for (const ref of rules.pinned) {
+    const entry = entries.find(e => matchesFeaturedRef(e, ref));
+    if (!entry) unmatched.push(ref);
+    else if (!pinned.includes(entry)) pinned.push(entry);
+  }
+
+  const newestFirst = (a, b) =>
+    (b.date || "").localeCompare(a.date || "") || a.item.title.localeCompare(b.item.title);
+  const picked = [];
+  for (const type of Object.keys(FEATURED_CONFIG.categories)) {
+    const room = rules.perCategory[type] - pinned.filter(e => e.type === type).length;
+    if (room <= 0) continue;
+    picked.push(...entries
+      .filter(e => e.type === type && !pinned.includes(e))
+      .sort(newestFirst)
+      .slice(0, room));
+  }
+  picked.sort(newestFirst);
+
+  const items = [
+    ...pinned.map(e => toFeaturedItem(e, true)),
+    ...picked.map(e => toFeaturedItem(e, false))
+  ].slice(0, rules.totalLimit);
+  return { items, unmatched, sourceItems: entries.length };
+}
+
+/** Helper: featured manifest body in the featured-manifest.json format */
+function buildFeaturedManifest(sources, rules) {
+  const { items, unmatched, sourceItems } = selectFeaturedItems(sources, rules);
+  const dates = items.map(i => i.date).filter(Boolean).sort();
+  return {
+    version: "2.0.0",
+    type: "featured",
+    generated: new Date().toISOString(),
+    generatedBy: "edge-featured",
+    sources: sources.map(s => s.type),
+    sourceItems,
+    totalItems: items.length,
+    totalImages: items.reduce((sum, i) => sum + i.totalImages, 0),
+    categories: [...new Set(items.map(i => i.category))].sort(),
+    portfolioTypes: [...new Set(items.map(i => i.type))].sort(),
+    dateRange: {
+      newest: dates.length ? dates[dates.length - 1] : null,
+      oldest: dates.length ? dates[0] : null
+    },
+    config: {
+      itemsPerCategory: rules.itemsPerCategory,
+      perCategory: rules.perCategory,
+      totalLimit: rules.totalLimit,
+      pinned: rules.pinned,
+      excluded: rules.excluded,
+      ...(unmatched.length ? { unmatchedPins: unmatched } : {})
+    },
+    items
+  };
+}
+
+/**
+ * Helper: manifest types for a cross-manifest request from ?type=, defaulting to every
+ * type except the aggregate manifests. Returns { ok, types } or { ok: false, response }.
+ */
+async function selectItemTypes(searchParams, env) {
+  const available = await getManifestTypes(env);
+  const { types, unknown } = resolveItemTypes(listParam(searchParams, "type"), available);
+  if (unknown.length) {
+    return {
+      ok: false,
+      response: json({
+        error: "bad_request",
+        message: `Unknown manifest type: ${unknown.join(", ")}`,
+        types: available,
+        timestamp: new Date().toISOString()
+      }, { status: 400 })
+    };
+  }
+  return { ok: true, types };
+}
+
+/** Router implementation */
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+  add(method, pattern, handler) {
+    const parts = pattern.split("/").filter(Boolean);
     this.routes.push({ method: method.toUpperCase(), parts, handler });
   }
   match(req) {
@@ -437,7 +1676,12 @@ class Router {
         const rp = r.parts[i];
         const pp = pathParts[i];
         if (rp.startsWith(":")) {
-          params[rp.slice(1)] = decodeURIComponent(pp);
+          try {
+            params[rp.slice(1)] = decodeURIComponent(pp);
+          } catch {
+            // Malformed percent-escape: no route matches
+            ok = false; break;
+          }
         } else if (rp !== pp) {
           ok = false; break;
         }
@@ -522,58 +1766,291 @@ function parseAuthors(env) {
   ];
 }
 
-/** Helper: load blog posts preferring KV cache */
+/** Blog post storage: one MCCAL_KV entry per post, so edits to different posts never overwrite each other */
+const BLOG_STORE_CONFIG = {
+  postPrefix: "blog:post:",
+  // Post id by slug. KV list can lag behind a write, so lookups and slug checks read these keys instead
+  slugPrefix: "blog:slug:",
+  // Single-entry store used before per-post entries; read once to seed them
+  legacyKey: "blog:posts",
+  // Set once the per-post entries are seeded, so deleting every post does not bring the upstream posts back
+  seededKey: "blog:seeded",
+};
+
+/** Helper: result for a blog store KV call that failed */
+function blogStoreUnavailable(err) {
+  return {
+    ok: false,
+    status: 503,
+    data: { error: "kv_unavailable", message: `Blog storage is unavailable: ${err?.message || "unknown"}`, timestamp: new Date().toISOString() }
+  };
+}
+
+/** Helper: every post stored under its own KV entry */
+async function listStoredBlogPosts(kv) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: BLOG_STORE_CONFIG.postPrefix, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  const posts = await Promise.all(names.map(name => kv.get(name, { type: "json" })));
+  return posts.filter(p => p && typeof p === "object");
+}
+
+/** Helper: posts newest first (publish day, then publish or edit time) */
+function sortBlogPosts(posts) {
+  const stamp = p => String(p.publishedAt || p.updatedAt || "");
+  return posts.sort((a, b) => String(b.date || "").localeCompare(String(a.date || "")) || stamp(b).localeCompare(stamp(a)));
+}
+
+/**
+ * Helper: store each post that has no KV entry yet and mark the store as seeded. A post that is
+ * already stored is kept as it is. Returns the stored posts.
+ */
+async function seedBlogPosts(env, posts) {
+  const stored = await Promise.all(posts.map(async (post) => {
+    const existing = await readStoredBlogPost(env, post.id);
+    if (existing) return existing;
+    await saveBlogPost(env, post);
+    return post;
+  }));
+  await env.MCCAL_KV.put(BLOG_STORE_CONFIG.seededKey, new Date().toISOString());
+  return stored;
+}
+
+/**
+ * Helper: seed the per-post KV entries on first use, from the legacy single-entry store, else
+ * from upstream. Seeds only once `blog:seeded` has been read and is missing. Returns { ok, seeded }
+ * (the posts seeded by this call, if any) or an error result (503 when KV fails).
+ */
+async function ensureBlogPostsSeeded(env) {
+  const kv = env.MCCAL_KV;
+  let legacy;
+  try {
+    if (await kv.get(BLOG_STORE_CONFIG.seededKey)) return { ok: true, seeded: [] };
+    legacy = await kv.get(BLOG_STORE_CONFIG.legacyKey, { type: "json" });
+  } catch (err) {
+    return blogStoreUnavailable(err);
+  }
+  let source = legacy;
+  if (!legacy || !Array.isArray(legacy.posts)) {
+    const upstream = await fetchBlogPosts(env);
+    if (!upstream.ok) return upstream;
+    source = upstream.data;
+  }
+  try {
+    return { ok: true, seeded: await seedBlogPosts(env, normalizeBlogPosts(source).posts) };
+  } catch (err) {
+    return blogStoreUnavailable(err);
+  }
+}
+
+/**
+ * Helper: load blog posts, newest first; every post has an id and a unique slug.
+ * Reads the per-post KV entries (seeded on first use), else upstream when KV is not bound.
+ */
 async function loadBlogPosts(env) {
   const kv = env?.MCCAL_KV;
-  if (kv) {
-    try {
-      const stored = await kv.get("blog:posts", { type: "json" });
-      if (stored && Array.isArray(stored.posts)) {
-        return { ok: true, status: 200, data: stored, source: "kv" };
-      }
-    } catch (_) {
-      // ignore and fall through to upstream fetch
-    }
+  if (!kv) {
+    const upstream = await fetchBlogPosts(env);
+    if (!upstream.ok) return upstream;
+    return { ...upstream, data: normalizeBlogPosts(upstream.data) };
   }
-  const upstream = await fetchBlogPosts(env);
-  if (upstream.ok && kv) {
-    try {
-      await kv.put("blog:posts", JSON.stringify(upstream.data));
-    } catch (_) {
-      // ignore write errors
-    }
+  const seeding = await ensureBlogPostsSeeded(env);
+  if (!seeding.ok) return seeding;
+  let posts;
+  try {
+    posts = await listStoredBlogPosts(kv);
+  } catch (err) {
+    return blogStoreUnavailable(err);
   }
-  return upstream;
+  // A list straight after seeding may not show the new entries yet
+  const byId = new Map([...seeding.seeded, ...posts].map(p => [p.id, p]));
+  return { ok: true, status: 200, data: normalizeBlogPosts({ posts: sortBlogPosts([...byId.values()]) }), source: "kv" };
+}
+
+/** Helper: one stored post by id (null if there is none) */
+async function readStoredBlogPost(env, id) {
+  if (!env?.MCCAL_KV) return null;
+  return env.MCCAL_KV.get(`${BLOG_STORE_CONFIG.postPrefix}${id}`, { type: "json" });
+}
+
+/** Helper: the stored post that owns a slug (null if there is none) */
+async function readStoredBlogPostBySlug(env, slug) {
+  if (!env?.MCCAL_KV) return null;
+  const id = await env.MCCAL_KV.get(`${BLOG_STORE_CONFIG.slugPrefix}${slug}`);
+  const post = id ? await readStoredBlogPost(env, id) : null;
+  return post && post.slug === slug ? post : null;
+}
+
+/** Helper: whether a slug belongs to a stored post other than `exceptId` */
+async function isBlogSlugTaken(env, slug, exceptId = null) {
+  const owner = await readStoredBlogPostBySlug(env, slug);
+  return Boolean(owner) && owner.id !== exceptId;
 }
 
-/** Helper: persist posts to KV */
-async function persistBlogPosts(env, data) {
+/** Helper: write one post to its KV entry and its slug; `previous` is the stored post it replaces */
+async function saveBlogPost(env, post, previous = null) {
   if (!env?.MCCAL_KV) {
     throw new Error("kv_not_configured");
   }
-  await env.MCCAL_KV.put("blog:posts", JSON.stringify(data));
+  await env.MCCAL_KV.put(`${BLOG_STORE_CONFIG.postPrefix}${post.id}`, JSON.stringify(post));
+  await env.MCCAL_KV.put(`${BLOG_STORE_CONFIG.slugPrefix}${post.slug}`, post.id);
+  if (previous?.slug && previous.slug !== post.slug) {
+    await env.MCCAL_KV.delete(`${BLOG_STORE_CONFIG.slugPrefix}${previous.slug}`);
+  }
 }
 
-/** Helper: issue session token stored in KV */
-async function issueSessionToken(env, author) {
+/** Helper: delete one post's KV entry and its slug */
+async function removeBlogPost(env, post) {
+  if (!env?.MCCAL_KV) {
+    throw new Error("kv_not_configured");
+  }
+  await env.MCCAL_KV.delete(`${BLOG_STORE_CONFIG.postPrefix}${post.id}`);
+  await env.MCCAL_KV.delete(`${BLOG_STORE_CONFIG.slugPrefix}${post.slug}`);
+}
+
+/** Helper: store a token's payload in KV under `${prefix}${token}` until it expires; returns the token */
+async function storeKvToken(env, prefix, payload, ttlSeconds, metadata) {
   if (!env?.MCCAL_KV) {
     throw new Error("kv_not_configured");
   }
   const token = (typeof crypto.randomUUID === "function"
     ? crypto.randomUUID()
     : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join(""));
+  await env.MCCAL_KV.put(`${prefix}${token}`, JSON.stringify(payload), {
+    expirationTtl: ttlSeconds,
+    ...(metadata ? { metadata } : {})
+  });
+  return token;
+}
+
+/** Helper: issue session token stored in KV */
+async function issueSessionToken(env, author) {
   const payload = {
     id: author.id,
     username: author.username,
     name: author.name,
     issuedAt: Date.now()
   };
-  await env.MCCAL_KV.put(`blog:token:${token}`, JSON.stringify(payload), {
-    expirationTtl: 60 * 60 * 24 // 1 day
-  });
+  const token = await storeKvToken(env, "blog:token:", payload, 60 * 60 * 24); // 1 day
   return { token, payload };
 }
 
+/** Blog draft preview configuration */
+const BLOG_PREVIEW_CONFIG = {
+  // KV keys: blog:preview:<post id>:<token id>, expiring with the token
+  kvPrefix: "blog:preview:",
+  defaultTtlSeconds: 7 * 24 * 60 * 60,
+  minTtlSeconds: 5 * 60,
+  maxTtlSeconds: 30 * 24 * 60 * 60,
+};
+
+/** Helper: hex HMAC-SHA256 signature of a preview token (PREVIEW_TOKEN_SECRET) */
+async function signPreviewToken(env, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.PREVIEW_TOKEN_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(sig)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Helper: preview link `<post id>.<token id>.<expiry (unix seconds)>.<signature>` for a stored token */
+async function buildPreviewToken(env, postId, tokenId, expiresAt) {
+  const exp = Math.floor(Date.parse(expiresAt) / 1000);
+  return `${postId}.${tokenId}.${exp}.${await signPreviewToken(env, `${postId}.${tokenId}.${exp}`)}`;
+}
+
+/**
+ * Helper: issue a preview token for one post, stored in KV like session tokens so it can be
+ * revoked before it expires. Returns { id, token, expiresAt, createdBy, createdAt, note }.
+ */
+async function issuePreviewToken(env, post, author, { ttlSeconds, note }) {
+  const createdAt = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+  const info = { createdBy: author?.username || author?.name || null, createdAt, expiresAt, ...(note ? { note } : {}) };
+  const id = await storeKvToken(env, `${BLOG_PREVIEW_CONFIG.kvPrefix}${post.id}:`, { postId: post.id, ...info }, ttlSeconds, info);
+  return { id, token: await buildPreviewToken(env, post.id, id, expiresAt), ...info };
+}
+
+/**
+ * Helper: check a preview token: signature, expiry and that it has not been revoked.
+ * Returns { ok, postId, tokenId, preview } or { ok: false }.
+ */
+async function verifyPreviewToken(env, token) {
+  const parts = String(token || "").split(".");
+  if (parts.length < 4 || !env?.PREVIEW_TOKEN_SECRET || !env?.MCCAL_KV) return { ok: false };
+  const [sig, exp, tokenId] = parts.slice(-3).reverse();
+  const postId = parts.slice(0, -3).join(".");
+  if (!/^[0-9a-f]{64}$/.test(sig) || !(parseInt(exp, 10) * 1000 > Date.now())) return { ok: false };
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.PREVIEW_TOKEN_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["verify"]
+  );
+  const valid = await crypto.subtle.verify("HMAC", key, hexToBytes(sig), new TextEncoder().encode(`${postId}.${tokenId}.${exp}`));
+  if (!valid) return { ok: false };
+  const preview = await env.MCCAL_KV.get(`${BLOG_PREVIEW_CONFIG.kvPrefix}${postId}:${tokenId}`, { type: "json" });
+  return preview?.postId === postId ? { ok: true, postId, tokenId, preview } : { ok: false };
+}
+
+/** Helper: live preview tokens of a post, newest first (expired ones drop out of KV on their own) */
+async function listPreviewTokens(env, postId) {
+  const prefix = `${BLOG_PREVIEW_CONFIG.kvPrefix}${postId}:`;
+  const previews = [];
+  let cursor;
+  do {
+    const page = await env.MCCAL_KV.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const info = key.metadata || {};
+      if (info.expiresAt && Date.parse(info.expiresAt) <= Date.now()) continue;
+      previews.push({ id: key.name.slice(prefix.length), ...info });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return previews.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/** Helper: standalone HTML page of a post preview, kept out of search engines */
+function renderBlogPreviewPage(post, env, { expiresAt }) {
+  const entry = toBlogFeedEntry(post, { siteUrl: getSiteUrl(env), authors: parseAuthors(env) });
+  const byline = [entry.author?.name, post.date].filter(Boolean).join(" · ");
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Preview: ${escapeXml(entry.title)} – ${escapeXml(JSONLD_CONFIG.siteName)}</title>
+  <style>
+    body { margin: 0 auto; max-width: 720px; padding: 0 16px 48px; font: 17px/1.6 Georgia, serif; color: #111; }
+    .banner { margin: 0 -16px 24px; padding: 8px 16px; font: 13px/1.4 system-ui, sans-serif; background: #fff4d6; color: #6b4e00; }
+    h1 { font-size: 32px; line-height: 1.2; margin: 0 0 8px; }
+    .byline, .excerpt { font-family: system-ui, sans-serif; color: #555; }
+    figure { margin: 24px 0; }
+    img { max-width: 100%; height: auto; }
+    figcaption { font: 14px/1.4 system-ui, sans-serif; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="banner">Preview of an unpublished ${escapeXml(getBlogPostStatus(post))} post · link expires ${escapeXml(new Date(expiresAt).toUTCString())}</div>
+  <h1>${escapeXml(entry.title)}</h1>
+  ${byline ? `<p class="byline">${escapeXml(byline)}</p>` : ""}
+  ${entry.summary ? `<p class="excerpt">${escapeXml(entry.summary)}</p>` : ""}
+  ${entry.contentHtml}
+</body>
+</html>
+`;
+}
+
 /** Helper: load session from Authorization header */
 async function getSessionFromRequest(req, env) {
   if (!env?.MCCAL_KV) {
@@ -588,120 +2065,1775 @@ async function getSessionFromRequest(req, env) {
   if (!session) {
     return { ok: false, status: 401, data: { error: "unauthorized", message: "Invalid token" } };
   }
-  return { ok: true, status: 200, data: session, token: value };
-}
+  return { ok: true, status: 200, data: session, token: value };
+}
+
+/** Helper: public site URL without trailing slash */
+function getSiteUrl(env) {
+  return (env?.SITE_URL || BLOG_FEED_CONFIG.siteUrl).replace(/\/$/, "");
+}
+
+/** Helper: strong ETag of a stored post, for If-None-Match and If-Match */
+async function blogPostEtag(post) {
+  return `"${(await sha1Hex(JSON.stringify(post))).slice(0, 16)}"`;
+}
+
+// Bumped on every post change; rendered feeds are cached per version, so a change reaches
+// every data centre without purging each one's cache
+const BLOG_VERSION_KEY = "blog:version";
+
+/** Helper: current blog posts version ("0" before the first change or without KV) */
+async function getBlogVersion(env) {
+  if (!env?.MCCAL_KV) return "0";
+  try {
+    return (await env.MCCAL_KV.get(BLOG_VERSION_KEY)) || "0";
+  } catch {
+    return "0";
+  }
+}
+
+/** Helper: edge cache key of a rendered blog feed at a blog posts version */
+function blogFeedCacheKey(origin, file, version) {
+  return new Request(`${origin}/api/v1/blog/${file}?v=${encodeURIComponent(version)}`, { method: "GET" });
+}
+
+/** Helper: retire the rendered blog feeds by bumping the blog posts version; returns true on success */
+async function purgeBlogFeeds(env) {
+  if (!env?.MCCAL_KV) return false;
+  try {
+    await env.MCCAL_KV.put(BLOG_VERSION_KEY, `${Date.now().toString(36)}-${crypto.randomUUID().slice(0, 8)}`);
+    return true;
+  } catch (err) {
+    console.error("Blog version write failed:", err?.message);
+    return false;
+  }
+}
+
+/**
+ * Helper: store scheduled posts whose publishAt has passed as published (run by the cron
+ * trigger) and drop the blog feeds and sitemap when any were. Each post is re-read just
+ * before it is written, so an edit made since the load is not overwritten. Returns { published: [ids] }.
+ */
+async function publishDueBlogPosts(env, now = Date.now()) {
+  if (!env?.MCCAL_KV) return { published: [], skipped: "kv_not_configured" };
+  const result = await loadBlogPosts(env);
+  if (!result.ok) return { published: [], error: result.data?.error };
+  const published = [];
+  for (const { id } of result.data.posts.filter(post => isBlogPostDue(post, now))) {
+    const stored = await readStoredBlogPost(env, id);
+    if (!stored || !isBlogPostDue(stored, now)) continue;
+    await saveBlogPost(env, { ...markBlogPostPublished(stored, stored.publishAt), updatedAt: new Date(now).toISOString() }, stored);
+    published.push(id);
+  }
+  if (published.length) {
+    await purgeBlogFeeds(env);
+    await purgeSitemap(env);
+  }
+  return { published };
+}
+
+/** New work feed configuration */
+const NEW_WORK_CONFIG = {
+  kvPrefix: "manifest:firstseen:",
+  // Aggregate manifests repeat the per-type items
+  excludedTypes: AGGREGATE_MANIFEST_TYPES,
+  title: "McCal Media – New Work",
+  description: "Galleries newly added to the McCal Media portfolio",
+  language: "en-us",
+  maxEntries: 30,
+  formats: {
+    "feed.xml": { format: "rss", contentType: "application/rss+xml; charset=utf-8" },
+    "feed.atom": { format: "atom", contentType: "application/atom+xml; charset=utf-8" }
+  }
+};
+
+// Per-isolate first-seen maps used when MCCAL_KV is not bound
+const firstSeenMemo = new Map();
+
+/** Helper: load a type's first-seen map ({ seededAt, items: { id: ISO timestamp | null } }) */
+async function loadFirstSeen(type, env) {
+  const kv = env?.MCCAL_KV;
+  if (!kv) return firstSeenMemo.get(type) || null;
+  try {
+    const stored = await kv.get(`${NEW_WORK_CONFIG.kvPrefix}${type}`, { type: "json" });
+    return stored && typeof stored.items === "object" ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Helper: record when each item of a type was first seen, given the type's recorded versions
+ * (oldest first). Without a stored map one is seeded from history: items present in the oldest
+ * retained version get `null` (added at an unknown time, never listed as new work) and later
+ * items the time of the version that introduced them. Returns the map (null for excluded types).
+ */
+async function recordFirstSeen(type, env, versions) {
+  if (NEW_WORK_CONFIG.excludedTypes.includes(type) || !versions.length) return null;
+  const stored = await loadFirstSeen(type, env);
+  const firstSeen = stored || { seededAt: new Date().toISOString(), items: {} };
+  let changed = !stored;
+  // A stored map only needs the newest version; a new one replays the whole history
+  for (const [i, version] of (stored ? versions.slice(-1) : versions).entries()) {
+    for (const { id } of version.items) {
+      if (id in firstSeen.items) continue;
+      firstSeen.items[id] = !stored && i === 0 ? null : version.recordedAt;
+      changed = true;
+    }
+  }
+  if (!changed) return firstSeen;
+
+  const kv = env?.MCCAL_KV;
+  if (!kv) {
+    firstSeenMemo.set(type, firstSeen);
+    return firstSeen;
+  }
+  try {
+    await kv.put(`${NEW_WORK_CONFIG.kvPrefix}${type}`, JSON.stringify(firstSeen));
+  } catch (err) {
+    console.error("First-seen write failed:", err?.message);
+  }
+  return firstSeen;
+}
+
+/** Helper: slugs of a fetched manifest's items, colliding slugs numbered in first-seen order */
+async function getItemSlugs(type, data, itemsKey, env) {
+  const firstSeen = await loadFirstSeen(type, env);
+  return assignItemSlugs(type, data, itemsKey, firstSeen ? firstSeen.items : null);
+}
+
+/**
+ * Helper: absolute URL of a manifest image. Bare filenames live in the item's folder under the
+ * type's folder; repo paths (src/images/Portfolios/...) and URLs are used as they are.
+ */
+function resolveManifestImageUrl(source, raw, image, env) {
+  const src = normalizeImage(image)?.src;
+  if (!src) return null;
+  if (/^https?:\/\//.test(src)) return src;
+  const base = getManifestBaseUrl(env);
+  if (!base) return null;
+  const repoPath = src.match(/(?:^|\/)src\/images\/Portfolios\/(.+)$/);
+  if (repoPath) return `${base}/${encodeURI(repoPath[1])}`;
+  const dir = (source.path || DEFAULT_MANIFEST_PATHS[source.type] || "").split("/").slice(0, -1).join("/");
+  const folder = String(raw?.folderPath || "");
+  const folderPath = dir && !folder.startsWith(`${dir}/`) ? [dir, folder].filter(Boolean).join("/") : folder;
+  return `${base}/${encodeURI([folderPath, src.replace(/^\//, "")].filter(Boolean).join("/"))}`;
+}
+
+/**
+ * Helper: feed entries for the newest items across the fetched sources, newest first, linking
+ * to the items' site pages. Items without a first-seen time are left out.
+ */
+async function buildNewWorkEntries(sources, env) {
+  const siteUrl = getSiteUrl(env);
+  const host = new URL(siteUrl).hostname;
+  const entries = [];
+  for (const source of sources) {
+    let firstSeen = await loadFirstSeen(source.type, env);
+    if (!firstSeen) {
+      // Seed from history the first time the feed sees a type
+      const history = await getManifestHistory(source.type, env);
+      firstSeen = history.ok ? await recordFirstSeen(source.type, env, history.versions) : null;
+    }
+    if (!firstSeen) continue;
+    // History ids (with #n for duplicates) line up with the slugs by position
+    const keyed = keyManifestItems(source.type, source.data, source.itemsKey);
+    const slugs = assignItemSlugs(source.type, source.data, source.itemsKey, firstSeen.items);
+    keyed.forEach(({ id, item, raw }, i) => {
+      const seenAt = firstSeen.items[id];
+      if (!seenAt) return;
+      const entry = raw && typeof raw === "object" ? raw : {};
+      const slug = slugs[i]?.slug || slugify(item.title);
+      const cover = resolveManifestImageUrl(source, entry, getItemCover(entry), env);
+      const imageCount = getItemImageCount(entry);
+      const summary = [
+        source.title || defaultTypeTitle(source.type),
+        imageCount ? `${imageCount} photo${imageCount === 1 ? "" : "s"}` : null,
+        entry.dateDisplay || formatDisplayDate(detectItemDate(entry))
+      ].filter(Boolean).join(" · ");
+      const published = new Date(seenAt);
+      entries.push({
+        id: `tag:${host},${seenAt.slice(0, 10)}:${source.type}/${slugify(id) || slug}`,
+        url: `${siteUrl}/${source.type}/${encodeURIComponent(slug)}`,
+        title: item.title,
+        summary,
+        contentHtml: [
+          cover ? `<p><img src="${escapeXml(cover)}" alt="${escapeXml(item.title)}" /></p>` : null,
+          `<p>${escapeXml(summary)}</p>`
+        ].filter(Boolean).join("\n"),
+        published,
+        updated: published,
+        author: null,
+        images: cover ? [{ url: cover, type: guessImageMimeType(cover), alt: item.title, caption: null }] : []
+      });
+    });
+  }
+  return entries
+    .sort((a, b) => b.published - a.published || a.title.localeCompare(b.title))
+    .slice(0, NEW_WORK_CONFIG.maxEntries);
+}
+
+/** Sitemap configuration */
+const SITEMAP_CONFIG = {
+  kvKey: "sitemap:entries",
+  excludedTypes: AGGREGATE_MANIFEST_TYPES,
+  // Above this many URLs /sitemap.xml becomes an index of child sitemaps, which are split
+  // into numbered parts at the same size
+  maxUrlsPerSitemap: 1000,
+  imagesPerItem: 5,
+  // Site pages that are not backed by a manifest: [path, priority, changefreq]
+  staticPages: [["", 1.0, "daily"], ["about", 0.8, "monthly"], ["contact", 0.7, "monthly"], ["blog", 0.8, "weekly"]],
+};
+
+// Per-isolate copy of the sitemap entries (also persisted to KV when bound)
+let sitemapMemo = null;
+
+/** Helper: YYYY-MM-DD of an ISO or HTTP date (null if unparseable) */
+function toSitemapDate(value) {
+  if (!value) return null;
+  const iso = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  if (iso) return iso[0];
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+/** Helper: sitemap URL entry for a manifest item, with up to imagesPerItem image:image entries */
+function toSitemapItemUrl(source, { slug, item, raw }, { siteUrl, lastmod, env }) {
+  const entry = raw && typeof raw === "object" ? raw : {};
+  const date = detectItemDate(entry);
+  const title = `${item.title}${entry.dateDisplay ? ` - ${entry.dateDisplay}` : ""}`;
+  const images = (Array.isArray(entry.images) ? entry.images : [])
+    .slice(0, SITEMAP_CONFIG.imagesPerItem)
+    .map(image => {
+      const img = normalizeImage(image);
+      const loc = resolveManifestImageUrl(source, entry, image, env);
+      return loc ? { loc, title, caption: img?.caption || img?.description || entry.venue || entry.description || null } : null;
+    })
+    .filter(Boolean);
+  return {
+    loc: `${siteUrl}/${source.type}/${encodeURIComponent(slug)}`,
+    lastmod: date || lastmod,
+    changefreq: "monthly",
+    priority: 0.7,
+    images
+  };
+}
+
+/**
+ * Helper: build the sitemap entries from the live per-type manifests and the blog posts:
+ * { builtAt, sources, groups: [{ name, urls: [{ loc, lastmod, changefreq, priority, images }] }] }.
+ * Groups are "pages" (static and per-type landing pages), one per type and "blog".
+ */
+async function buildSitemap(env) {
+  const siteUrl = getSiteUrl(env);
+  const types = (await getManifestTypes(env)).filter(t => !SITEMAP_CONFIG.excludedTypes.includes(t));
+  const fetched = await fetchManifestSources(types, env);
+  const sources = {};
+  const pages = SITEMAP_CONFIG.staticPages.map(([path, priority, changefreq]) => ({
+    loc: path ? `${siteUrl}/${path}` : siteUrl,
+    changefreq,
+    priority
+  }));
+  const groups = [{ name: "pages", urls: pages }];
+
+  for (const { type, status, error } of fetched.unavailable) {
+    sources[type] = { ok: false, status, error };
+  }
+  for (const source of fetched.sources) {
+    const lastmod = toSitemapDate(source.data?.generated) || toSitemapDate(source.lastModified);
+    const items = assignItemSlugs(source.type, source.data, source.itemsKey, source.firstSeen);
+    pages.push({ loc: `${siteUrl}/${source.type}`, lastmod, changefreq: "weekly", priority: 0.9 });
+    groups.push({ name: source.type, urls: items.map(entry => toSitemapItemUrl(source, entry, { siteUrl, lastmod, env })) });
+    sources[source.type] = { ok: true, items: items.length, ...(source.stale ? { stale: true } : {}) };
+  }
+
+  const blog = await loadBlogPosts(env);
+  const posts = blog.ok ? publicBlogPosts(blog.data?.posts) : [];
+  sources.blog = blog.ok ? { ok: true, items: posts.length } : { ok: false, status: blog.status, error: blog.data?.error };
+  groups.push({
+    name: "blog",
+    urls: posts.map(post => ({
+      loc: `${siteUrl}/blog/${encodeURIComponent(getBlogPostSlug(post))}`,
+      lastmod: toSitemapDate(post.updatedAt || post.publishedAt || post.date),
+      changefreq: "monthly",
+      priority: 0.6,
+      images: (Array.isArray(post.images) ? post.images : [])
+        .filter(img => img?.src)
+        .slice(0, SITEMAP_CONFIG.imagesPerItem)
+        .map(img => ({ loc: new URL(String(img.src), `${siteUrl}/`).href, title: img.alt || post.title || null, caption: img.caption || null }))
+    }))
+  });
+
+  const sitemap = { builtAt: new Date().toISOString(), sources, groups };
+  sitemapMemo = sitemap;
+  if (env?.MCCAL_KV) {
+    try {
+      await env.MCCAL_KV.put(SITEMAP_CONFIG.kvKey, JSON.stringify(sitemap));
+    } catch {
+      // The in-memory copy still serves this isolate
+    }
+  }
+  return sitemap;
+}
+
+/**
+ * Helper: load the sitemap entries (memory, then KV, then a fresh build).
+ * Entries older than the manifest TTL are served as-is while a rebuild runs in the background.
+ */
+async function loadSitemap(env, ctx) {
+  let sitemap = sitemapMemo;
+  if (!sitemap && env?.MCCAL_KV) {
+    try {
+      sitemap = await env.MCCAL_KV.get(SITEMAP_CONFIG.kvKey, { type: "json" });
+    } catch {
+      sitemap = null;
+    }
+  }
+  if (!sitemap || !Array.isArray(sitemap.groups)) return buildSitemap(env);
+
+  sitemapMemo = sitemap;
+  if (ageSeconds(sitemap.builtAt) > getCacheTtl(env) && ctx?.waitUntil) {
+    ctx.waitUntil(buildSitemap(env).catch(() => null));
+  }
+  return sitemap;
+}
+
+/** Helper: drop the sitemap entries so the next request rebuilds them */
+async function purgeSitemap(env) {
+  sitemapMemo = null;
+  if (!env?.MCCAL_KV) return true;
+  try {
+    await env.MCCAL_KV.delete(SITEMAP_CONFIG.kvKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Helper: rebuild the sitemap and summarize it for webhook responses */
+async function rebuildSitemap(env) {
+  const sitemap = await buildSitemap(env);
+  return {
+    builtAt: sitemap.builtAt,
+    urls: sitemap.groups.reduce((n, g) => n + g.urls.length, 0),
+    sources: sitemap.sources
+  };
+}
+
+/**
+ * Helper: child sitemap files of the entries: [{ file, urls }]. A group larger than
+ * maxUrlsPerSitemap is split into `<name>.xml`, `<name>-2.xml`, ...
+ */
+function listSitemapFiles(sitemap) {
+  const size = SITEMAP_CONFIG.maxUrlsPerSitemap;
+  const files = [];
+  for (const { name, urls } of sitemap.groups) {
+    if (!urls.length) continue;
+    for (let i = 0; i < urls.length; i += size) {
+      files.push({ file: `${name}${i ? `-${i / size + 1}` : ""}.xml`, urls: urls.slice(i, i + size) });
+    }
+  }
+  return files;
+}
+
+/** Helper: render a <urlset> with image:image entries */
+function renderSitemapUrlset(urls) {
+  const entries = urls.map(u => [
+    "  <url>",
+    `    <loc>${escapeXml(u.loc)}</loc>`,
+    u.lastmod ? `    <lastmod>${u.lastmod}</lastmod>` : null,
+    u.changefreq ? `    <changefreq>${u.changefreq}</changefreq>` : null,
+    typeof u.priority === "number" ? `    <priority>${u.priority.toFixed(1)}</priority>` : null,
+    ...(u.images || []).map(img => [
+      "    <image:image>",
+      `      <image:loc>${escapeXml(img.loc)}</image:loc>`,
+      img.title ? `      <image:title>${escapeXml(img.title)}</image:title>` : null,
+      img.caption ? `      <image:caption>${escapeXml(img.caption)}</image:caption>` : null,
+      "    </image:image>"
+    ].filter(Boolean).join("\n")),
+    "  </url>"
+  ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...entries,
+    "</urlset>",
+    ""
+  ].join("\n");
+}
+
+/** Helper: render a <sitemapindex> of child sitemaps served under origin/sitemaps/ */
+function renderSitemapIndex(files, origin) {
+  const entries = files.map(({ file, urls }) => {
+    const lastmod = urls.map(u => u.lastmod).filter(Boolean).sort().pop();
+    return [
+      "  <sitemap>",
+      `    <loc>${escapeXml(`${origin}/sitemaps/${file}`)}</loc>`,
+      lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+      "  </sitemap>"
+    ].filter(Boolean).join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    "</sitemapindex>",
+    ""
+  ].join("\n");
+}
+
+/** JSON-LD structured data configuration */
+const JSONLD_CONFIG = {
+  siteName: "McCal Media",
+  person: { key: "caleb-mccartney", name: "Caleb McCartney", jobTitle: "Photographer & Photojournalist" },
+  // Portfolio pages: ImageObjects for the first items, a few images each
+  itemsLimit: 6,
+  imagesPerItem: 2,
+  // Image URLs listed on a gallery node
+  galleryImageLimit: 24,
+  // What a type's items are called in page descriptions (default "collections")
+  entityLabels: { concert: "bands", events: "events", journalism: "stories" },
+};
+
+/** Helper: WebSite and Person nodes shared by every graph */
+function jsonLdSiteNodes(siteUrl) {
+  const { siteName, person } = JSONLD_CONFIG;
+  return [
+    { "@type": "WebSite", "@id": `${siteUrl}#website`, url: siteUrl, name: siteName },
+    { "@type": "Person", "@id": `${siteUrl}#${person.key}`, name: person.name, jobTitle: person.jobTitle, url: siteUrl }
+  ];
+}
+
+/** Helper: BreadcrumbList node from [name, url] pairs */
+function jsonLdBreadcrumbs(id, crumbs) {
+  return {
+    "@type": "BreadcrumbList",
+    "@id": id,
+    itemListElement: crumbs.map(([name, item], i) => ({ "@type": "ListItem", position: i + 1, name, item }))
+  };
+}
+
+/** Helper: name, date and description of a manifest item for structured data */
+function describeJsonLdItem(source, { item, raw }) {
+  const entry = raw && typeof raw === "object" ? raw : {};
+  const typeTitle = source.title || defaultTypeTitle(source.type);
+  return {
+    entry,
+    name: item.title,
+    date: detectItemDate(entry),
+    description: [entry.description, entry.venue, entry.caption].find(v => typeof v === "string" && v.trim()) || `${typeTitle} photography`
+  };
+}
+
+/** Helper: ImageObject nodes for up to `limit` images of an item; ids are `${pageUrl}#image-<n>` */
+function toImageObjectNodes(source, slugEntry, { pageUrl, personId, generated, limit, env, start = 1 }) {
+  const { entry, name, date, description } = describeJsonLdItem(source, slugEntry);
+  return (Array.isArray(entry.images) ? entry.images : [])
+    .map(image => ({ image: normalizeImage(image), url: resolveManifestImageUrl(source, entry, image, env) }))
+    .filter(({ url }) => url)
+    .slice(0, limit)
+    .map(({ image, url }, i) => ({
+      "@type": "ImageObject",
+      "@id": `${pageUrl}#image-${start + i}`,
+      contentUrl: url,
+      url,
+      name: date ? `${name} — ${date}` : name,
+      ...(image?.caption ? { caption: image.caption } : {}),
+      description: image?.description || image?.caption || description,
+      creator: { "@id": personId },
+      datePublished: date || generated,
+      inLanguage: "en"
+    }));
+}
+
+/**
+ * Helper: JSON-LD graph for a portfolio page (`<SITE_URL>/<type>`): CollectionPage, ImageGallery,
+ * BreadcrumbList and an ItemList of ImageObjects for the first items. Ported from the archived
+ * seo/generate-structured-data.js.
+ */
+function buildPortfolioJsonLd(source, slugs, env) {
+  const siteUrl = getSiteUrl(env);
+  const { type, data } = source;
+  const typeTitle = source.title || defaultTypeTitle(type);
+  const pageUrl = `${siteUrl}/${type}`;
+  const personId = `${siteUrl}#${JSONLD_CONFIG.person.key}`;
+  const generated = toSitemapDate(data?.generated) || toSitemapDate(source.lastModified) || undefined;
+  const totalImages = typeof data?.totalImages === "number"
+    ? data.totalImages
+    : slugs.reduce((n, s) => n + getItemImageCount(s.raw && typeof s.raw === "object" ? s.raw : {}), 0);
+
+  const imageNodes = [];
+  for (const entry of slugs.slice(0, JSONLD_CONFIG.itemsLimit)) {
+    imageNodes.push(...toImageObjectNodes(source, entry, {
+      pageUrl, personId, generated, limit: JSONLD_CONFIG.imagesPerItem, env, start: imageNodes.length + 1
+    }));
+  }
+  const description = `Professional ${type} photography featuring ${slugs.length} ${JSONLD_CONFIG.entityLabels[type] || "collections"} and ${totalImages} images.`;
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [
+      ...jsonLdSiteNodes(siteUrl),
+      {
+        "@type": "CollectionPage",
+        "@id": `${pageUrl}#page`,
+        name: `${typeTitle} Photography Portfolio`,
+        url: pageUrl,
+        description,
+        isPartOf: { "@id": `${siteUrl}#website` },
+        breadcrumb: { "@id": `${pageUrl}#breadcrumbs` },
+        mainEntity: { "@id": `${pageUrl}#gallery` },
+        inLanguage: "en",
+        ...(generated ? { datePublished: generated } : {})
+      },
+      {
+        "@type": "ImageGallery",
+        "@id": `${pageUrl}#gallery`,
+        name: `${typeTitle} Photography`,
+        description,
+        url: pageUrl,
+        image: imageNodes.map(n => n.url).slice(0, JSONLD_CONFIG.galleryImageLimit),
+        associatedMedia: imageNodes.map(n => ({ "@id": n["@id"] })),
+        creator: { "@id": personId },
+        numberOfItems: totalImages,
+        genre: `${typeTitle} Photography`,
+        inLanguage: "en"
+      },
+      jsonLdBreadcrumbs(`${pageUrl}#breadcrumbs`, [["Home", siteUrl], [typeTitle, pageUrl]]),
+      {
+        "@type": "ItemList",
+        "@id": `${pageUrl}#items`,
+        numberOfItems: imageNodes.length,
+        itemListElement: imageNodes.map((n, i) => ({ "@type": "ListItem", position: i + 1, item: { "@id": n["@id"] } }))
+      },
+      ...imageNodes
+    ]
+  };
+}
+
+/**
+ * Helper: JSON-LD graph for a single item page (`<SITE_URL>/<type>/<slug>`): ItemPage, an
+ * ImageGallery of the item's images and a BreadcrumbList
+ */
+function buildItemJsonLd(source, slugEntry, env) {
+  const siteUrl = getSiteUrl(env);
+  const { type } = source;
+  const typeTitle = source.title || defaultTypeTitle(type);
+  const typeUrl = `${siteUrl}/${type}`;
+  const pageUrl = `${typeUrl}/${encodeURIComponent(slugEntry.slug)}`;
+  const personId = `${siteUrl}#${JSONLD_CONFIG.person.key}`;
+  const { entry, name, date, description } = describeJsonLdItem(source, slugEntry);
+  const generated = toSitemapDate(source.data?.generated) || toSitemapDate(source.lastModified) || undefined;
+  const imageNodes = toImageObjectNodes(source, slugEntry, {
+    pageUrl, personId, generated, limit: JSONLD_CONFIG.galleryImageLimit, env
+  });
+  const tags = normalizeManifestItem(entry, type).tags;
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [
+      ...jsonLdSiteNodes(siteUrl),
+      {
+        "@type": "ItemPage",
+        "@id": `${pageUrl}#page`,
+        name: date ? `${name} — ${date}` : name,
+        url: pageUrl,
+        description,
+        isPartOf: { "@id": `${typeUrl}#page` },
+        breadcrumb: { "@id": `${pageUrl}#breadcrumbs` },
+        mainEntity: { "@id": `${pageUrl}#gallery` },
+        inLanguage: "en",
+        ...(imageNodes[0] ? { primaryImageOfPage: { "@id": imageNodes[0]["@id"] } } : {})
+      },
+      {
+        "@type": "ImageGallery",
+        "@id": `${pageUrl}#gallery`,
+        name,
+        description,
+        url: pageUrl,
+        image: imageNodes.map(n => n.url),
+        associatedMedia: imageNodes.map(n => ({ "@id": n["@id"] })),
+        creator: { "@id": personId },
+        numberOfItems: getItemImageCount(entry),
+        genre: `${typeTitle} Photography`,
+        ...(date ? { dateCreated: date } : {}),
+        ...(tags.length ? { keywords: tags.join(", ") } : {}),
+        ...(entry.outletUrl ? { sameAs: String(entry.outletUrl) } : {}),
+        inLanguage: "en"
+      },
+      jsonLdBreadcrumbs(`${pageUrl}#breadcrumbs`, [["Home", siteUrl], [typeTitle, typeUrl], [name, pageUrl]]),
+      ...imageNodes
+    ]
+  };
+}
+
+/** Helper: JSON-LD graph for a blog post page: BlogPosting, its images and a BreadcrumbList */
+function buildBlogPostingJsonLd(post, env) {
+  const siteUrl = getSiteUrl(env);
+  const blogUrl = `${siteUrl}/blog`;
+  const entry = toBlogFeedEntry(post, { siteUrl, authors: parseAuthors(env) });
+  const personId = `${siteUrl}#${JSONLD_CONFIG.person.key}`;
+  const isSitePerson = !entry.author || entry.author.name === JSONLD_CONFIG.person.name;
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [
+      ...jsonLdSiteNodes(siteUrl),
+      {
+        "@type": "BlogPosting",
+        "@id": `${entry.url}#post`,
+        // Google truncates longer headlines
+        headline: entry.title.slice(0, 110),
+        ...(entry.summary ? { description: entry.summary } : {}),
+        url: entry.url,
+        mainEntityOfPage: entry.url,
+        ...(entry.published ? { datePublished: entry.published.toISOString() } : {}),
+        ...(entry.updated ? { dateModified: entry.updated.toISOString() } : {}),
+        author: isSitePerson
+          ? { "@id": personId }
+          : { "@type": "Person", name: entry.author.name, ...(entry.author.url ? { url: entry.author.url } : {}) },
+        publisher: { "@id": personId },
+        isPartOf: { "@type": "Blog", "@id": `${blogUrl}#blog`, url: blogUrl, name: BLOG_FEED_CONFIG.title },
+        breadcrumb: { "@id": `${entry.url}#breadcrumbs` },
+        ...(entry.images.length
+          ? {
+              image: entry.images.map((img, i) => ({
+                "@type": "ImageObject",
+                "@id": `${entry.url}#image-${i + 1}`,
+                contentUrl: img.url,
+                url: img.url,
+                ...(img.alt ? { name: img.alt } : {}),
+                ...(img.caption ? { caption: img.caption } : {})
+              }))
+            }
+          : {}),
+        articleBody: (Array.isArray(post?.body) ? post.body : []).map(String).join("\n\n"),
+        inLanguage: "en"
+      },
+      jsonLdBreadcrumbs(`${entry.url}#breadcrumbs`, [["Home", siteUrl], ["Blog", blogUrl], [entry.title, entry.url]])
+    ]
+  };
+}
+
+/** oEmbed provider configuration */
+const OEMBED_CONFIG = {
+  // iframe size of rich responses without maxwidth/maxheight (4:3)
+  defaultWidth: 640,
+  defaultHeight: 480,
+  // Size assumed for images whose manifest entry records no dimensions (3:2)
+  nominalImageWidth: 1200,
+  nominalImageHeight: 800,
+  thumbnailWidth: 480,
+  // Images shown in an embedded gallery
+  embedImageLimit: 12,
+  formats: ["json", "xml"],
+};
+
+/**
+ * Helper: parse a site URL into an embed target: { kind: "item", type, slug, image } (image is the
+ * 1-based index from a `#image-<n>` fragment, as used by the JSON-LD ids) or { kind: "post", slug }.
+ * Returns null for URLs outside SITE_URL or not pointing at a gallery or post.
+ */
+function parseEmbedUrl(raw, env) {
+  let url;
+  try {
+    url = new URL(String(raw || ""));
+  } catch {
+    return null;
+  }
+  const site = new URL(getSiteUrl(env));
+  const host = url.hostname.replace(/^www\./, "");
+  if (!/^https?:$/.test(url.protocol) || host !== site.hostname.replace(/^www\./, "")) return null;
+  let parts;
+  try {
+    parts = url.pathname.split("/").filter(Boolean).map(p => decodeURIComponent(p));
+  } catch {
+    // Malformed percent-escape
+    return null;
+  }
+  if (parts.length !== 2) return null;
+  if (parts[0] === "blog") return { kind: "post", slug: parts[1] };
+  const image = url.hash.match(/^#image-(\d+)$/);
+  return { kind: "item", type: parts[0].toLowerCase(), slug: parts[1], image: image ? parseInt(image[1], 10) : null };
+}
+
+/** Helper: dimensions of a manifest image, or the nominal size (flagged `nominal`) when none are recorded */
+function getImageDimensions(image) {
+  const width = parseInt(image?.width, 10);
+  const height = parseInt(image?.height, 10);
+  return width > 0 && height > 0
+    ? { width, height }
+    : { width: OEMBED_CONFIG.nominalImageWidth, height: OEMBED_CONFIG.nominalImageHeight, nominal: true };
+}
+
+/** Helper: scale dimensions down (never up) to fit maxwidth/maxheight */
+function fitDimensions({ width, height }, maxwidth, maxheight) {
+  const scale = Math.min(1, maxwidth ? maxwidth / width : 1, maxheight ? maxheight / height : 1);
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * Helper: load what an embed shows for a parsed target: { ok, kind, type, slug, title, description,
+ * pageUrl, embedPath, author, published, images: [{ url, width, height, nominal, alt, caption }], partial }.
+ * Renamed item slugs are followed. Returns { ok: false, status, data } when nothing matches.
+ */
+async function loadEmbedTarget(target, env) {
+  const siteUrl = getSiteUrl(env);
+  const notFoundTarget = message => ({
+    ok: false,
+    status: 404,
+    data: { error: "not_found", message, timestamp: new Date().toISOString() }
+  });
+
+  if (target.kind === "post") {
+    const result = await loadBlogPosts(env);
+    if (!result.ok) return result;
+    const post = publicBlogPosts(result.data?.posts).find(p => getBlogPostSlug(p) === target.slug);
+    if (!post) return notFoundTarget(`No blog post with slug: ${target.slug}`);
+    const entry = toBlogFeedEntry(post, { siteUrl, authors: parseAuthors(env) });
+    const images = (Array.isArray(post.images) ? post.images : []).filter(img => img?.src);
+    return {
+      ok: true,
+      kind: "post",
+      slug: target.slug,
+      title: entry.title,
+      description: entry.summary,
+      pageUrl: entry.url,
+      embedPath: `/embed/blog/${encodeURIComponent(target.slug)}`,
+      author: entry.author,
+      published: entry.published ? entry.published.toISOString() : null,
+      images: entry.images.map((img, i) => ({ url: img.url, ...getImageDimensions(images[i]), alt: img.alt, caption: img.caption }))
+    };
+  }
+
+  const resolved = await resolveManifestType(target.type, env);
+  if (NEW_WORK_CONFIG.excludedTypes.includes(resolved.type)) {
+    return notFoundTarget(`${target.type} items are not embeddable`);
+  }
+  const result = await fetchManifest(resolved.type, env);
+  if (!result.ok) return result;
+  const source = { ...resolved, data: result.data, lastModified: result.lastModified };
+  const slugs = await getItemSlugs(resolved.type, result.data, resolved.itemsKey, env);
+  let match = slugs.find(s => s.slug === target.slug);
+  if (!match) {
+    const redirected = resolveSlugRedirect(slugs, (await fetchSlugRedirects(env))[resolved.type], target.slug);
+    match = redirected ? slugs.find(s => s.slug === redirected) : null;
+  }
+  if (!match) return notFoundTarget(`No ${target.type} item with slug: ${target.slug}`);
+
+  const { entry, name, date, description } = describeJsonLdItem(source, match);
+  const images = (Array.isArray(entry.images) ? entry.images : [])
+    .map(image => {
+      const url = resolveManifestImageUrl(source, entry, image, env);
+      const img = normalizeImage(image);
+      return url ? { url, ...getImageDimensions(image), alt: img?.caption || name, caption: img?.caption || null } : null;
+    })
+    .filter(Boolean);
+  return {
+    ok: true,
+    kind: "item",
+    type: resolved.type,
+    slug: match.slug,
+    title: name,
+    description: [description, date ? formatDisplayDate(date) : null].filter(Boolean).join(" · "),
+    pageUrl: `${siteUrl}/${resolved.type}/${encodeURIComponent(match.slug)}`,
+    embedPath: `/embed/${resolved.type}/${encodeURIComponent(match.slug)}`,
+    author: { name: JSONLD_CONFIG.person.name, url: siteUrl },
+    published: date || null,
+    images,
+    partial: Boolean(result.stale)
+  };
+}
+
+/**
+ * Helper: oEmbed 1.0 response for a loaded target. A gallery or post is `rich` (an iframe of its
+ * embed page); a single image picked with `#image-<n>` is a `photo`.
+ */
+function buildOembedResponse(embed, { image, maxwidth, maxheight, origin, env }) {
+  const siteUrl = getSiteUrl(env);
+  const base = {
+    version: "1.0",
+    title: embed.title,
+    author_name: embed.author?.name || JSONLD_CONFIG.person.name,
+    author_url: embed.author?.url || siteUrl,
+    provider_name: JSONLD_CONFIG.siteName,
+    provider_url: siteUrl,
+    cache_age: getCacheTtl(env)
+  };
+  const cover = embed.images[0];
+  if (cover) {
+    const thumb = fitDimensions(cover, OEMBED_CONFIG.thumbnailWidth);
+    base.thumbnail_url = cover.url;
+    base.thumbnail_width = thumb.width;
+    base.thumbnail_height = thumb.height;
+  }
+
+  if (image) {
+    const picked = embed.images[image - 1];
+    if (!picked) return null;
+    return { type: "photo", ...base, url: picked.url, ...fitDimensions(picked, maxwidth, maxheight) };
+  }
+
+  const { width, height } = fitDimensions({ width: OEMBED_CONFIG.defaultWidth, height: OEMBED_CONFIG.defaultHeight }, maxwidth, maxheight);
+  const src = `${origin}${embed.embedPath}`;
+  return {
+    type: "rich",
+    ...base,
+    width,
+    height,
+    html: `<iframe src="${escapeXml(src)}" width="${width}" height="${height}" title="${escapeXml(embed.title)}" style="border:0;max-width:100%" loading="lazy" allowfullscreen></iframe>`
+  };
+}
+
+/** Helper: oEmbed response as the XML format (<oembed> with one element per field) */
+function renderOembedXml(response) {
+  const fields = Object.entries(response).map(([key, value]) => `  <${key}>${escapeXml(value)}</${key}>`);
+  return ['<?xml version="1.0" encoding="utf-8" standalone="yes"?>', "<oembed>", ...fields, "</oembed>", ""].join("\n");
+}
+
+/** Helper: standalone HTML page embedded by the oEmbed iframe: a gallery grid or a post card */
+function renderEmbedPage(embed) {
+  const images = embed.images.slice(0, embed.kind === "post" ? 1 : OEMBED_CONFIG.embedImageLimit);
+  const figures = images.map(img =>
+    `<img src="${escapeXml(img.url)}" alt="${escapeXml(img.alt || embed.title)}" width="${img.width}" height="${img.height}" loading="lazy">`
+  ).join("\n      ");
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeXml(embed.title)} – ${escapeXml(JSONLD_CONFIG.siteName)}</title>
+  <link rel="canonical" href="${escapeXml(embed.pageUrl)}">
+  <style>
+    body { margin: 0; font: 14px/1.4 system-ui, sans-serif; color: #111; background: #fff; }
+    a { color: inherit; text-decoration: none; display: block; padding: 12px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    p { margin: 0 0 10px; color: #555; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(${embed.kind === "post" ? 280 : 140}px, 1fr)); gap: 6px; }
+    .grid img { width: 100%; height: auto; aspect-ratio: 3 / 2; object-fit: cover; border-radius: 4px; }
+    .via { margin-top: 8px; font-size: 12px; color: #777; }
+  </style>
+</head>
+<body>
+  <a href="${escapeXml(embed.pageUrl)}" target="_blank" rel="noopener">
+    <h1>${escapeXml(embed.title)}</h1>
+    ${embed.description ? `<p>${escapeXml(embed.description)}</p>` : ""}
+    <div class="grid">
+      ${figures}
+    </div>
+    <div class="via">View on ${escapeXml(JSONLD_CONFIG.siteName)} →</div>
+  </a>
+</body>
+</html>
+`;
+}
+
+/**
+ * Helper: HTML document with Open Graph and Twitter Card tags for a loaded embed target.
+ * Browsers are sent on to the site page by a meta refresh, with a link as a fallback.
+ * Image dimensions are only stated when the manifest records them.
+ */
+function renderSharePage(embed, { origin }) {
+  const cover = embed.images[0];
+  const meta = [
+    ["property", "og:type", embed.kind === "post" ? "article" : "website"],
+    ["property", "og:site_name", JSONLD_CONFIG.siteName],
+    ["property", "og:title", embed.title],
+    ["property", "og:description", embed.description],
+    ["property", "og:url", embed.pageUrl],
+    ["property", "og:locale", "en_US"],
+    ...(cover ? [
+      ["property", "og:image", cover.url],
+      ["property", "og:image:secure_url", cover.url.startsWith("https:") ? cover.url : null],
+      ["property", "og:image:type", guessImageMimeType(cover.url)],
+      ["property", "og:image:width", cover.nominal ? null : cover.width],
+      ["property", "og:image:height", cover.nominal ? null : cover.height],
+      ["property", "og:image:alt", cover.alt || embed.title]
+    ] : []),
+    ...(embed.kind === "post" ? [
+      ["property", "article:published_time", embed.published],
+      ["property", "article:author", embed.author?.name]
+    ] : []),
+    ["name", "twitter:card", cover ? "summary_large_image" : "summary"],
+    ["name", "twitter:title", embed.title],
+    ["name", "twitter:description", embed.description],
+    ["name", "twitter:image", cover?.url],
+    ["name", "twitter:image:alt", cover ? cover.alt || embed.title : null],
+    ["name", "description", embed.description]
+  ]
+    .filter(([, , content]) => content !== null && content !== undefined && content !== "")
+    .map(([attr, key, content]) => `  <meta ${attr}="${key}" content="${escapeXml(content)}">`);
+  const oembed = `${origin}/api/v1/oembed?url=${encodeURIComponent(embed.pageUrl)}`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(embed.title)} – ${escapeXml(JSONLD_CONFIG.siteName)}</title>
+  <link rel="canonical" href="${escapeXml(embed.pageUrl)}">
+  <meta http-equiv="refresh" content="0; url=${escapeXml(embed.pageUrl)}">
+${meta.join("\n")}
+  <link rel="alternate" type="application/json+oembed" href="${escapeXml(oembed)}" title="${escapeXml(embed.title)}">
+  <link rel="alternate" type="text/xml+oembed" href="${escapeXml(`${oembed}&format=xml`)}" title="${escapeXml(embed.title)}">
+</head>
+<body>
+  <p>Continue to <a href="${escapeXml(embed.pageUrl)}">${escapeXml(embed.title)}</a></p>
+</body>
+</html>
+`;
+}
+
+/** Build API router */
+function buildApiRouter(env) {
+  const router = new Router();
+
+  // Blog API root health/info endpoint
+  router.add("GET", "api/v1/blog", async () => {
+    return json({
+      status: "ok",
+      message: "Blog API root",
+      time: new Date().toISOString(),
+      endpoints: [
+        "/api/v1/blog/auth/login",
+        "/api/v1/blog/posts",
+        "/api/v1/blog/posts (POST)",
+        "/api/v1/blog/posts/:id (GET, PUT, PATCH, DELETE)",
+        "/api/v1/blog/posts/by-slug/:slug",
+        "/api/v1/blog/posts/:id/previews (GET, POST, DELETE)",
+        "/api/v1/blog/preview/:token",
+        "/api/v1/blog/feed.xml",
+        "/api/v1/blog/feed.atom",
+        "/api/v1/blog/feed.json"
+      ]
+    });
+  });
+
+  // Root: provide a minimal index
+  router.add("GET", "", async () => {
+    return json({
+      name: "McCal API",
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      routes: {
+        health: "/api/v1/health",
+        manifests: "/api/v1/manifests",
+        manifestByType: "/api/v1/manifests/:type"
+      }
+    });
+  });
+
+  // Aliases for index under /api and /api/v1
+  router.add("GET", "api", async () => {
+    return json({
+      name: "McCal API",
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      routes: {
+        health: "/api/v1/health",
+        manifests: "/api/v1/manifests",
+        manifestByType: "/api/v1/manifests/:type"
+      }
+    });
+  });
+  router.add("GET", "api/v1", async () => {
+    return json({
+      name: "McCal API",
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      routes: {
+        health: "/api/v1/health",
+        manifests: "/api/v1/manifests",
+        manifestByType: "/api/v1/manifests/:type"
+      }
+    });
+  });
+
+  // Health check
+  router.add("GET", "api/v1/health", async () => {
+    return json({ 
+      status: "ok", 
+      timestamp: new Date().toISOString(),
+      cache: {
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        hitRate: cacheStats.hits + cacheStats.misses > 0 
+          ? ((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100).toFixed(1) + "%" 
+          : "N/A"
+      }
+    });
+  });
+
+  // Manifests list from the discovered registry (index.json, else env or defaults)
+  router.add("GET", "api/v1/manifests", async (_req) => {
+    const registry = await getManifestRegistry(env);
+    return json({
+      types: registry.types.map(t => t.type),
+      source: registry.source,
+      ...(registry.fetchedAt ? { fetchedAt: registry.fetchedAt } : {}),
+      manifests: registry.types.map(t => ({
+        type: t.type,
+        title: t.title,
+        path: t.path,
+        itemsKey: t.itemsKey,
+        aliases: t.aliases,
+        endpoint: `/api/v1/manifests/${t.type}`
+      }))
+    });
+  });
+
+  // Manifest by type fetched from website repo
+  // Optional query: ?limit=&cursor=&sort=date|name&order=&since=&until=&tag=&q=
+  // Optional projection: ?view=summary|full&fields=a,b.c
+  router.add("GET", "api/v1/manifests/:type", async (req, params) => {
+    const { type } = params;
+
+    const searchParams = new URL(req.url).searchParams;
+    const parsed = parseManifestQuery(searchParams);
+    const projected = parseManifestProjection(searchParams);
+    for (const p of [parsed, projected]) {
+      if (!p.ok) {
+        return json({ error: "bad_request", message: p.message, timestamp: new Date().toISOString() }, { status: 400 });
+      }
+    }
+
+    const result = await fetchManifest(type, env);
+    if (!result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    const { itemsKey } = await resolveManifestType(type, env);
+
+    let body = result.data;
+    let etag = result.etag;
+    if (parsed.active) {
+      const queried = queryManifest(type, result.data, parsed.query, itemsKey);
+      if (!queried.ok) {
+        return json({ error: "unsupported_query", message: queried.message, timestamp: new Date().toISOString() }, { status: 400 });
+      }
+      body = queried.data;
+    }
+    if (projected.active) {
+      body = projectManifest(body, projected.projection, itemsKey);
+    }
+    if (parsed.active || projected.active) {
+      // Each page/projection is its own representation and needs its own validator
+      etag = await deriveVariantEtag(result.etag, JSON.stringify({
+        query: parsed.active ? parsed.query : null,
+        projection: projected.active ? projected.projection : null
+      }));
+    }
+
+    const ttl = getCacheTtl(env);
+    const headers = {
+      // Edge caching: 10 min TTL with 1 hour stale-while-revalidate, 1 day stale-if-error
+      "Cache-Control": manifestCacheControl(ttl),
+      "Content-Type": "application/json; charset=utf-8",
+      "X-Cache": result.fromCache ? "HIT" : "MISS",
+      "X-Cache-Hit": result.fromCache ? "true" : "false"
+    };
+    if (etag) headers["ETag"] = etag;
+    if (result.lastModified) headers["Last-Modified"] = result.lastModified;
+    if (result.stale) {
+      // Upstream is failing: flag the last known good copy and keep client caching short
+      headers["Cache-Control"] = `public, max-age=${CACHE_CONFIG.staleRetrySeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`;
+      headers["Warning"] = '111 - "Revalidation Failed"';
+      headers["X-Stale"] = "true";
+      headers["Age"] = String(result.staleAge);
+    }
+    if (result.partial) {
+      // Universal manifest built without some of its sources: retry soon
+      headers["Cache-Control"] = `public, max-age=${CACHE_CONFIG.staleRetrySeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`;
+      headers["X-Partial"] = "true";
+    }
+
+    // Conditional GET (If-None-Match / If-Modified-Since) = 304 Not Modified
+    if (isNotModified(req, { etag, lastModified: result.lastModified })) {
+      return notModified(headers);
+    }
+    return json(body, { status: 200, headers });
+  });
+
+  // Recorded versions of a manifest, newest first
+  router.add("GET", "api/v1/manifests/:type/history", async (req, params) => {
+    const { type } = params;
+    const history = await getManifestHistory(type, env);
+    if (!history.ok) {
+      return json(history.result.data, { status: history.result.status });
+    }
+    const versions = history.versions.map(describeManifestVersion).reverse();
+    return json({
+      type,
+      current: versions[0]?.version || null,
+      maxVersions: HISTORY_CONFIG.maxVersions,
+      versions
+    }, { status: 200, headers: { "Cache-Control": "no-store" } });
+  });
+
+  // Items added/removed/changed between two versions: ?from=&to= (version id, ETag or ISO timestamp)
+  // `to` defaults to the current version, `from` to the version before `to`
+  router.add("GET", "api/v1/manifests/:type/diff", async (req, params) => {
+    const { type } = params;
+    const searchParams = new URL(req.url).searchParams;
+    const history = await getManifestHistory(type, env);
+    if (!history.ok) {
+      return json(history.result.data, { status: history.result.status });
+    }
+    const { versions } = history;
+    const notFoundVersion = message => json({ error: "version_not_found", message, timestamp: new Date().toISOString() }, { status: 404 });
+
+    const to = searchParams.has("to") ? findManifestVersion(versions, searchParams.get("to")) : versions[versions.length - 1];
+    if (!to) return notFoundVersion(`No recorded ${type} version matches to=${searchParams.get("to")}`);
+    const from = searchParams.has("from")
+      ? findManifestVersion(versions, searchParams.get("from"))
+      : versions[versions.indexOf(to) - 1];
+    if (!from) {
+      return notFoundVersion(searchParams.has("from")
+        ? `No recorded ${type} version matches from=${searchParams.get("from")}`
+        : `No ${type} version recorded before ${to.version}`);
+    }
+
+    const diff = diffManifestVersions(from, to);
+    return json({
+      type,
+      from: describeManifestVersion(from),
+      to: describeManifestVersion(to),
+      ...diff,
+      counts: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }
+    }, { status: 200, headers: { "Cache-Control": "no-store" } });
+  });
+
+  // Incremental changes for clients holding a cached copy: ?since=<ETag|version|ISO timestamp>
+  // Returns full added/updated items and removed ids, or `resync: true` when `since` is no longer in history
+  router.add("GET", "api/v1/manifests/:type/changes", async (req, params) => {
+    const { type } = params;
+    const searchParams = new URL(req.url).searchParams;
+    const since = (searchParams.get("since") || "").trim();
+    const projected = parseManifestProjection(searchParams);
+    if (!since || !projected.ok) {
+      return json({
+        error: "bad_request",
+        message: since ? projected.message : "since is required (ETag, version id or ISO timestamp)",
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    const history = await getManifestHistory(type, env);
+    if (!history.ok) {
+      return json(history.result.data, { status: history.result.status });
+    }
+    const { result, versions } = history;
+    const { itemsKey } = await resolveManifestType(type, env);
+
+    // Diff against the version matching the manifest being served (may be a last-known-good copy)
+    const hash = await sha1Hex(JSON.stringify(result.data));
+    const to = versions.find(v => v.hash === hash);
+    const from = findManifestVersion(versions, since);
+    const headers = { "Cache-Control": "public, max-age=60" };
+    if (result.etag) headers["ETag"] = result.etag;
+
+    if (!from || !to) {
+      return json({
+        type,
+        since,
+        resync: true,
+        reason: from ? "current_version_not_recorded" : "since_not_in_history",
+        etag: result.etag || null,
+        manifest: `/api/v1/manifests/${type}`
+      }, { status: 200, headers });
+    }
+
+    const diff = diffManifestVersions(from, to);
+    const project = raw => (projected.active ? projectManifestItem(raw, projected.projection) : raw);
+    const rawById = new Map(keyManifestItems(type, result.data, itemsKey).map(e => [e.id, e.raw]));
+    return json({
+      type,
+      since,
+      resync: false,
+      from: describeManifestVersion(from),
+      to: describeManifestVersion(to),
+      etag: result.etag || null,
+      added: diff.added.map(i => project(rawById.get(i.id))),
+      updated: diff.changed.map(i => project(rawById.get(i.id))),
+      removed: diff.removed.map(i => i.id),
+      counts: { added: diff.added.length, updated: diff.changed.length, removed: diff.removed.length }
+    }, { status: 200, headers });
+  });
+
+  // Single manifest item by slug; optional projection: ?view=summary|full&fields=a,b.c
+  // Renamed items answer 301 to their current slug; unknown slugs 404 with suggestions
+  router.add("GET", "api/v1/manifests/:type/items/:slug", async (req, params) => {
+    const { type, slug } = params;
+    const url = new URL(req.url);
+    const projected = parseManifestProjection(url.searchParams);
+    if (!projected.ok) {
+      return json({ error: "bad_request", message: projected.message, timestamp: new Date().toISOString() }, { status: 400 });
+    }
+
+    const result = await fetchManifest(type, env);
+    if (!result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    const { itemsKey } = await resolveManifestType(type, env);
+    const slugs = await getItemSlugs(type, result.data, itemsKey, env);
+    const match = slugs.find(s => s.slug === slug);
+
+    if (!match) {
+      const redirects = await fetchSlugRedirects(env);
+      const target = resolveSlugRedirect(slugs, redirects[type], slug);
+      if (target) {
+        const location = `/api/v1/manifests/${type}/items/${encodeURIComponent(target)}${url.search}`;
+        return json({ redirect: location, slug: target }, { status: 301, headers: { "Location": location } });
+      }
+      return json({
+        error: "item_not_found",
+        message: `No ${type} item with slug: ${slug}`,
+        suggestions: suggestSlugs(slugs, slug).map(s => ({
+          ...s,
+          endpoint: `/api/v1/manifests/${type}/items/${encodeURIComponent(s.slug)}`
+        })),
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+
+    const item = projected.active ? projectManifestItem(match.raw, projected.projection) : match.raw;
+    const etag = await deriveVariantEtag(result.etag, JSON.stringify({ slug: match.slug, projection: projected.projection }));
+    const headers = {
+      "Cache-Control": result.stale
+        ? `public, max-age=${CACHE_CONFIG.staleRetrySeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`
+        : manifestCacheControl(getCacheTtl(env)),
+      "X-Cache": result.fromCache ? "HIT" : "MISS"
+    };
+    if (etag) headers["ETag"] = etag;
+    if (result.lastModified) headers["Last-Modified"] = result.lastModified;
+    if (result.stale) headers["X-Stale"] = "true";
+    if (isNotModified(req, { etag, lastModified: result.lastModified })) {
+      return notModified(headers);
+    }
+    return json({ type, slug: match.slug, id: match.id, item }, { status: 200, headers });
+  });
+
+  // Schema validation report from the latest upstream fetch of a manifest
+  router.add("GET", "api/v1/manifests/:type/validation", async (req, params) => {
+    const { type } = params;
+    let report = await loadValidationReport(type, env);
+    const result = await fetchManifest(type, env);
+    if (!report) {
+      // The fetch above may have been the first upstream fetch for this type
+      report = await loadValidationReport(type, env);
+    }
+    if (!report && !result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    return json({
+      type,
+      checked: Boolean(report),
+      ...(report || { message: "No upstream fetch recorded yet; warm the cache to validate now" }),
+      serving: !result.ok ? "none" : result.stale ? "last_known_good" : "upstream",
+      ...(result.stale ? { upstreamError: result.upstreamError } : {})
+    }, { status: 200, headers: { "Cache-Control": "no-store" } });
+  });
+
+  // Normalized items across manifests
+  // Optional: ?type=concert,journalism&category=&limit=&cursor=&sort=date|name&order=&since=&until=&tag=&q=
+  // Aggregate manifests (featured, universal, portfolio) are only included when named in `type`
+  router.add("GET", "api/v1/items", async (req) => {
+    const searchParams = new URL(req.url).searchParams;
+    const parsed = parseManifestQuery(searchParams);
+    if (!parsed.ok) {
+      return json({ error: "bad_request", message: parsed.message, timestamp: new Date().toISOString() }, { status: 400 });
+    }
+    const selected = await selectItemTypes(searchParams, env);
+    if (!selected.ok) return selected.response;
+
+    const { sources, unavailable } = await fetchManifestSources(selected.types, env);
+    const body = {
+      types: sources.map(s => s.type),
+      ...queryPortfolioItems(sources, parsed.query, { categories: listParam(searchParams, "category") }),
+      ...(unavailable.length ? { unavailable } : {})
+    };
+
+    const headers = {
+      "Cache-Control": `public, max-age=${Math.min(getCacheTtl(env), 300)}`,
+      "ETag": `W/"items-${(await sha1Hex(JSON.stringify(body))).slice(0, 16)}"`
+    };
+    if (isNotModified(req, { etag: headers.ETag })) {
+      return notModified(headers);
+    }
+    return json(body, { status: 200, headers });
+  });
+
+  // Tag taxonomy: every tag with counts per manifest type; ?type=concert,journalism
+  router.add("GET", "api/v1/tags", async (req) => {
+    const selected = await selectItemTypes(new URL(req.url).searchParams, env);
+    if (!selected.ok) return selected.response;
+
+    const { sources, unavailable } = await fetchManifestSources(selected.types, env);
+    const etag = `W/"tags-${(await sha1Hex(JSON.stringify(sources.map(s => [s.type, s.etag])))).slice(0, 16)}"`;
+    const headers = { "Cache-Control": manifestCacheControl(getCacheTtl(env)), "ETag": etag };
+    if (isNotModified(req, { etag })) {
+      return notModified(headers);
+    }
+    const tags = collectTags(sources);
+    return json({
+      types: sources.map(s => s.type),
+      total: tags.length,
+      tags: tags.map(t => ({ ...t, links: { items: `/api/v1/tags/${encodeURIComponent(t.slug)}` } })),
+      ...(unavailable.length ? { unavailable } : {})
+    }, { status: 200, headers });
+  });
+
+  // Items carrying a tag (name or slug), with the /api/v1/items query parameters
+  router.add("GET", "api/v1/tags/:tag", async (req, params) => {
+    const searchParams = new URL(req.url).searchParams;
+    const parsed = parseManifestQuery(searchParams);
+    if (!parsed.ok) {
+      return json({ error: "bad_request", message: parsed.message, timestamp: new Date().toISOString() }, { status: 400 });
+    }
+    const selected = await selectItemTypes(searchParams, env);
+    if (!selected.ok) return selected.response;
+
+    const { sources, unavailable } = await fetchManifestSources(selected.types, env);
+    const tag = findTag(collectTags(sources), params.tag);
+    if (!tag) {
+      return json({
+        error: "tag_not_found",
+        message: `No item is tagged ${params.tag}`,
+        tags: "/api/v1/tags",
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+    const query = { ...parsed.query, tags: [...new Set([tag.tag.toLowerCase(), ...parsed.query.tags])] };
+    const body = {
+      ...tag,
+      ...queryPortfolioItems(sources, query, { categories: listParam(searchParams, "category") }),
+      ...(unavailable.length ? { unavailable } : {})
+    };
+    const headers = {
+      "Cache-Control": `public, max-age=${Math.min(getCacheTtl(env), 300)}`,
+      "ETag": `W/"tag-${(await sha1Hex(JSON.stringify(body))).slice(0, 16)}"`
+    };
+    if (isNotModified(req, { etag: headers.ETag })) {
+      return notModified(headers);
+    }
+    return json(body, { status: 200, headers });
+  });
+
+  // Items grouped by year and month: ?type=&year=
+  router.add("GET", "api/v1/timeline", async (req) => {
+    const searchParams = new URL(req.url).searchParams;
+    const year = searchParams.get("year");
+    if (year !== null && !/^\d{4}$/.test(year)) {
+      return json({ error: "bad_request", message: "year must be a four-digit year", timestamp: new Date().toISOString() }, { status: 400 });
+    }
+    const selected = await selectItemTypes(searchParams, env);
+    if (!selected.ok) return selected.response;
+
+    const { sources, unavailable } = await fetchManifestSources(selected.types, env);
+    const etag = `W/"timeline-${(await sha1Hex(JSON.stringify({ sources: sources.map(s => [s.type, s.etag]), year }))).slice(0, 16)}"`;
+    const headers = { "Cache-Control": manifestCacheControl(getCacheTtl(env)), "ETag": etag };
+    if (isNotModified(req, { etag })) {
+      return notModified(headers);
+    }
+
+    const timeline = buildTimeline(sources, year);
+    if (!timeline) {
+      return json({
+        error: "year_not_found",
+        message: `No dated items in ${year}`,
+        years: buildTimeline(sources).years.map(y => y.year),
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+    return json({
+      types: sources.map(s => s.type),
+      ...timeline,
+      ...(unavailable.length ? { unavailable } : {})
+    }, { status: 200, headers });
+  });
+
+  // iCalendar feed of dated shoots: /api/v1/calendar.ics (all calendar types) and
+  // /api/v1/calendar/:type.ics
+  const calendarFeed = async (req, types, name) => {
+    const { sources, unavailable } = await fetchManifestSources(types, env);
+    if (!sources.length) {
+      return json({
+        error: "upstream_unavailable",
+        message: "No manifest for the calendar could be fetched",
+        unavailable,
+        timestamp: new Date().toISOString()
+      }, { status: 502 });
+    }
+    const etag = `W/"calendar-${(await sha1Hex(JSON.stringify(sources.map(s => [s.type, s.etag])))).slice(0, 16)}"`;
+    const headers = {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `inline; filename="${types.length === 1 ? types[0] : "calendar"}.ics"`,
+      "Cache-Control": manifestCacheControl(getCacheTtl(env)),
+      "ETag": etag
+    };
+    if (unavailable.length) {
+      headers["Cache-Control"] = `public, max-age=${CACHE_CONFIG.staleRetrySeconds}`;
+      headers["X-Partial"] = "true";
+    }
+    if (isNotModified(req, { etag })) {
+      return notModified(headers);
+    }
+    const body = buildCalendarFeed(sources, { name, origin: new URL(req.url).origin });
+    return new Response(body, { status: 200, headers });
+  };
+  router.add("GET", "api/v1/calendar.ics", async (req) => {
+    return calendarFeed(req, CALENDAR_CONFIG.types, CALENDAR_CONFIG.name);
+  });
+  router.add("GET", "api/v1/calendar/:feed", async (req, params) => {
+    const type = params.feed.replace(/\.ics$/, "").toLowerCase();
+    if (!params.feed.endsWith(".ics") || !CALENDAR_CONFIG.types.includes(type)) {
+      return json({
+        error: "calendar_not_found",
+        message: `No calendar feed ${params.feed}`,
+        feeds: ["/api/v1/calendar.ics", ...CALENDAR_CONFIG.types.map(t => `/api/v1/calendar/${t}.ics`)],
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+    return calendarFeed(req, [type], `${CALENDAR_CONFIG.name} – ${defaultTypeTitle(type)}`);
+  });
+
+  // New work: items added to the per-type manifests, by first-seen time (RSS and Atom)
+  for (const [file, feed] of Object.entries(NEW_WORK_CONFIG.formats)) {
+    router.add("GET", `api/v1/new-work/${file}`, async (req) => {
+      const types = (await getManifestTypes(env)).filter(t => !NEW_WORK_CONFIG.excludedTypes.includes(t));
+      const { sources, unavailable } = await fetchManifestSources(types, env);
+      if (!sources.length) {
+        return json({
+          error: "upstream_unavailable",
+          message: "No manifest for the new work feed could be fetched",
+          unavailable,
+          timestamp: new Date().toISOString()
+        }, { status: 502 });
+      }
+      const url = new URL(req.url);
+      const { title, description, language } = NEW_WORK_CONFIG;
+      const body = renderFeed(feed.format, await buildNewWorkEntries(sources, env), {
+        title,
+        description,
+        language,
+        homeUrl: getSiteUrl(env),
+        feedUrl: `${url.origin}${url.pathname}`
+      });
+      const etag = `W/"new-work-${feed.format}-${(await sha1Hex(body)).slice(0, 16)}"`;
+      const headers = {
+        "Content-Type": feed.contentType,
+        "Cache-Control": `public, max-age=${getCacheTtl(env)}`,
+        "ETag": etag
+      };
+      if (unavailable.length) {
+        headers["Cache-Control"] = `public, max-age=${CACHE_CONFIG.staleRetrySeconds}`;
+        headers["X-Partial"] = "true";
+      }
+      if (isNotModified(req, { etag })) {
+        return notModified(headers);
+      }
+      return new Response(body, { status: 200, headers });
+    });
+  }
 
-/** Build API router */
-function buildApiRouter(env) {
-  const router = new Router();
+  // Sitemaps built from the live manifests and blog posts (rebuilt after purge/refresh webhooks)
+  const sitemapResponse = async (req, sitemap, body) => {
+    const etag = `W/"sitemap-${(await sha1Hex(body)).slice(0, 16)}"`;
+    const headers = {
+      "Content-Type": "application/xml; charset=utf-8",
+      "Cache-Control": `public, max-age=${getCacheTtl(env)}`,
+      "ETag": etag
+    };
+    if (Object.values(sitemap.sources).some(s => !s.ok)) {
+      headers["X-Partial"] = "true";
+    }
+    if (isNotModified(req, { etag })) {
+      return notModified(headers);
+    }
+    return new Response(body, { status: 200, headers });
+  };
+  router.add("GET", "sitemap.xml", async (req, _params, _env, ctx) => {
+    const sitemap = await loadSitemap(env, ctx);
+    const files = listSitemapFiles(sitemap);
+    const urls = files.flatMap(f => f.urls);
+    const body = urls.length > SITEMAP_CONFIG.maxUrlsPerSitemap
+      ? renderSitemapIndex(files, new URL(req.url).origin)
+      : renderSitemapUrlset(urls);
+    return sitemapResponse(req, sitemap, body);
+  });
+  router.add("GET", "sitemaps/:file", async (req, params, _env, ctx) => {
+    const sitemap = await loadSitemap(env, ctx);
+    const files = listSitemapFiles(sitemap);
+    const match = files.find(f => f.file === params.file);
+    if (!match) {
+      return json({
+        error: "sitemap_not_found",
+        message: `No sitemap ${params.file}`,
+        sitemaps: files.map(f => `/sitemaps/${f.file}`),
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+    return sitemapResponse(req, sitemap, renderSitemapUrlset(match.urls));
+  });
 
-  // Blog API root health/info endpoint
-  router.add("GET", "api/v1/blog", async () => {
-    return json({
-      status: "ok",
-      message: "Blog API root",
-      time: new Date().toISOString(),
-      endpoints: [
-        "/api/v1/blog/auth/login",
-        "/api/v1/blog/posts",
-        "/api/v1/blog/posts (POST)"
-      ]
+  // JSON-LD structured data for Squarespace pages: ready to inject as <script type="application/ld+json">
+  const jsonLdResponse = (req, body, headers) => {
+    if (isNotModified(req, { etag: headers["ETag"], lastModified: headers["Last-Modified"] })) {
+      return notModified(headers);
+    }
+    // "<" is escaped so text such as "</script>" cannot end the script element it is injected into
+    return new Response(JSON.stringify(body).replace(/</g, "\\u003c"), {
+      status: 200,
+      headers: { ...headers, "Content-Type": "application/ld+json; charset=utf-8" }
     });
-  });
+  };
+  // Graphs derived from a manifest share its validators and cache lifetime
+  const manifestJsonLd = async (req, type, variant, build) => {
+    const result = await fetchManifest(type, env);
+    if (!result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    const resolved = await resolveManifestType(type, env);
+    const source = { ...resolved, data: result.data, lastModified: result.lastModified };
+    const slugs = await getItemSlugs(type, result.data, resolved.itemsKey, env);
+    const built = await build(source, slugs);
+    if (built instanceof Response) return built;
 
-  // Root: provide a minimal index
-  router.add("GET", "", async () => {
-    return json({
-      name: "McCal API",
-      status: "ok",
-      timestamp: new Date().toISOString(),
-      routes: {
-        health: "/api/v1/health",
-        manifests: "/api/v1/manifests",
-        manifestByType: "/api/v1/manifests/:type"
-      }
+    const etag = await deriveVariantEtag(result.etag, `jsonld:${variant}`);
+    const headers = {
+      "Cache-Control": result.stale
+        ? `public, max-age=${CACHE_CONFIG.staleRetrySeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`
+        : manifestCacheControl(getCacheTtl(env)),
+      "X-Cache": result.fromCache ? "HIT" : "MISS"
+    };
+    if (etag) headers["ETag"] = etag;
+    if (result.lastModified) headers["Last-Modified"] = result.lastModified;
+    if (result.stale) headers["X-Stale"] = "true";
+    if (result.partial) headers["X-Partial"] = "true";
+    return jsonLdResponse(req, built, headers);
+  };
+
+  // Blog post page (registered before :type/:slug so "blog" is not read as a manifest type)
+  router.add("GET", "api/v1/seo/jsonld/blog/:slug", async (req, params) => {
+    const result = await loadBlogPosts(env);
+    if (!result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    const post = publicBlogPosts(result.data?.posts).find(p => getBlogPostSlug(p) === params.slug);
+    if (!post) {
+      return json({
+        error: "post_not_found",
+        message: `No blog post with slug: ${params.slug}`,
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+    const body = buildBlogPostingJsonLd(post, env);
+    return jsonLdResponse(req, body, {
+      "Cache-Control": `public, max-age=${BLOG_FEED_CONFIG.clientTtlSeconds}, must-revalidate`,
+      "ETag": `W/"jsonld-blog-${(await sha1Hex(JSON.stringify(body))).slice(0, 16)}"`
     });
   });
 
-  // Aliases for index under /api and /api/v1
-  router.add("GET", "api", async () => {
-    return json({
-      name: "McCal API",
-      status: "ok",
-      timestamp: new Date().toISOString(),
-      routes: {
-        health: "/api/v1/health",
-        manifests: "/api/v1/manifests",
-        manifestByType: "/api/v1/manifests/:type"
-      }
-    });
+  // Portfolio page: /api/v1/seo/jsonld/:type
+  router.add("GET", "api/v1/seo/jsonld/:type", async (req, params) => {
+    return manifestJsonLd(req, params.type, "page", (source, slugs) => buildPortfolioJsonLd(source, slugs, env));
   });
-  router.add("GET", "api/v1", async () => {
-    return json({
-      name: "McCal API",
-      status: "ok",
-      timestamp: new Date().toISOString(),
-      routes: {
-        health: "/api/v1/health",
-        manifests: "/api/v1/manifests",
-        manifestByType: "/api/v1/manifests/:type"
+
+  // Item page: /api/v1/seo/jsonld/:type/:slug (301 for renamed slugs, 404 with suggestions)
+  router.add("GET", "api/v1/seo/jsonld/:type/:slug", async (req, params) => {
+    const { type, slug } = params;
+    return manifestJsonLd(req, type, `item:${slug}`, async (source, slugs) => {
+      const match = slugs.find(s => s.slug === slug);
+      if (match) return buildItemJsonLd(source, match, env);
+
+      const redirects = await fetchSlugRedirects(env);
+      const target = resolveSlugRedirect(slugs, redirects[source.type], slug);
+      if (target) {
+        const location = `/api/v1/seo/jsonld/${type}/${encodeURIComponent(target)}`;
+        return json({ redirect: location, slug: target }, { status: 301, headers: { "Location": location } });
       }
+      return json({
+        error: "item_not_found",
+        message: `No ${type} item with slug: ${slug}`,
+        suggestions: suggestSlugs(slugs, slug).map(s => ({
+          ...s,
+          endpoint: `/api/v1/seo/jsonld/${type}/${encodeURIComponent(s.slug)}`
+        })),
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
     });
   });
 
-  // Health check
-  router.add("GET", "api/v1/health", async () => {
-    return json({ 
-      status: "ok", 
-      timestamp: new Date().toISOString(),
-      cache: {
-        hits: cacheStats.hits,
-        misses: cacheStats.misses,
-        hitRate: cacheStats.hits + cacheStats.misses > 0 
-          ? ((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100).toFixed(1) + "%" 
-          : "N/A"
-      }
-    });
+  // oEmbed provider: ?url=<gallery or blog post URL>&maxwidth=&maxheight=&format=json|xml
+  router.add("GET", "api/v1/oembed", async (req) => {
+    const requestUrl = new URL(req.url);
+    const searchParams = requestUrl.searchParams;
+    const badRequest = message => json({ error: "bad_request", message, timestamp: new Date().toISOString() }, { status: 400 });
+    const format = (searchParams.get("format") || "json").toLowerCase();
+    if (!OEMBED_CONFIG.formats.includes(format)) {
+      return json({
+        error: "not_implemented",
+        message: `Unsupported format: ${format}`,
+        formats: OEMBED_CONFIG.formats,
+        timestamp: new Date().toISOString()
+      }, { status: 501 });
+    }
+    const url = searchParams.get("url");
+    if (!url) return badRequest("url is required");
+    const size = {};
+    for (const name of ["maxwidth", "maxheight"]) {
+      if (!searchParams.has(name)) continue;
+      size[name] = parseInteger(searchParams.get(name));
+      if (size[name] === null || size[name] < 1) return badRequest(`${name} must be a positive integer`);
+    }
+
+    const target = parseEmbedUrl(url, env);
+    if (!target) {
+      return json({ error: "not_found", message: `No embeddable gallery or post at: ${url}`, timestamp: new Date().toISOString() }, { status: 404 });
+    }
+    const embed = await loadEmbedTarget(target, env);
+    if (!embed.ok) {
+      return json(embed.data, { status: embed.status });
+    }
+    const body = buildOembedResponse(embed, { image: target.image, ...size, origin: requestUrl.origin, env });
+    if (!body) {
+      return json({ error: "not_found", message: `No image ${target.image} in ${embed.title}`, timestamp: new Date().toISOString() }, { status: 404 });
+    }
+
+    const rendered = format === "xml" ? renderOembedXml(body) : JSON.stringify(body);
+    const headers = {
+      "Content-Type": format === "xml" ? "text/xml; charset=utf-8" : "application/json; charset=utf-8",
+      "Cache-Control": embed.partial
+        ? `public, max-age=${CACHE_CONFIG.staleRetrySeconds}`
+        : `public, max-age=${getCacheTtl(env)}`,
+      "ETag": `W/"oembed-${(await sha1Hex(rendered)).slice(0, 16)}"`
+    };
+    if (isNotModified(req, { etag: headers["ETag"] })) {
+      return notModified(headers);
+    }
+    return new Response(rendered, { status: 200, headers });
   });
 
-  // Manifests list from env or defaults
-  router.add("GET", "api/v1/manifests", async (_req) => {
-    const types = getManifestTypes(env);
-    return json({ types });
+  // Embed pages for oEmbed iframes (blog first so "blog" is not read as a manifest type)
+  const embedPage = async (req, target) => {
+    const embed = await loadEmbedTarget(target, env);
+    if (!embed.ok) {
+      return json(embed.data, { status: embed.status });
+    }
+    const body = renderEmbedPage(embed);
+    const headers = {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": `public, max-age=${CACHE_CONFIG.widgetTtlSeconds}`,
+      "ETag": `W/"embed-${(await sha1Hex(body)).slice(0, 16)}"`
+    };
+    if (isNotModified(req, { etag: headers["ETag"] })) {
+      return notModified(headers);
+    }
+    return new Response(body, { status: 200, headers });
+  };
+  router.add("GET", "embed/blog/:slug", (req, params) => embedPage(req, { kind: "post", slug: params.slug }));
+  router.add("GET", "embed/:type/:slug", (req, params) =>
+    embedPage(req, { kind: "item", type: params.type.toLowerCase(), slug: params.slug })
+  );
+
+  // Share page: Open Graph/Twitter Card tags for link previews; the page itself sends people
+  // on to the site page
+  router.add("GET", "share/:type/:slug", async (req, params) => {
+    const type = params.type.toLowerCase();
+    const target = type === "blog" ? { kind: "post", slug: params.slug } : { kind: "item", type, slug: params.slug };
+    const headers = {
+      "Cache-Control": `public, max-age=${CACHE_CONFIG.widgetTtlSeconds}`
+    };
+    const embed = await loadEmbedTarget(target, env);
+    if (!embed.ok) {
+      return json(embed.data, { status: embed.status, headers });
+    }
+
+    const body = renderSharePage(embed, { origin: new URL(req.url).origin });
+    headers["Content-Type"] = "text/html; charset=utf-8";
+    headers["ETag"] = `W/"share-${(await sha1Hex(body)).slice(0, 16)}"`;
+    if (isNotModified(req, { etag: headers["ETag"] })) {
+      return notModified(headers);
+    }
+    return new Response(body, { status: 200, headers });
   });
 
-  // Manifest by type fetched from website repo
-  router.add("GET", "api/v1/manifests/:type", async (req, params) => {
-    const { type } = params;
-    
-    // Check If-None-Match for ETag validation
-    const clientETag = req.headers.get("If-None-Match");
-    
-    const result = await fetchManifest(type, env);
-    if (!result.ok) {
-      return json(result.data, { status: result.status });
+  // Cross-portfolio search: ?q=&type=concert,journalism&limit=
+  router.add("GET", "api/v1/search", async (req, params, env, ctx) => {
+    const searchParams = new URL(req.url).searchParams;
+    const q = (searchParams.get("q") || "").trim();
+    const badRequest = message => json({ error: "bad_request", message, timestamp: new Date().toISOString() }, { status: 400 });
+    if (tokenizeSearchQuery(q).join("").length < SEARCH_CONFIG.minQueryLength) {
+      return badRequest(`q must be at least ${SEARCH_CONFIG.minQueryLength} characters`);
     }
-    
-    // ETag match = 304 Not Modified
-    if (clientETag && result.etag && clientETag === result.etag) {
-      return new Response(null, { 
-        status: 304,
-        headers: { "ETag": result.etag }
-      });
+    let limit = SEARCH_CONFIG.defaultLimit;
+    if (searchParams.has("limit")) {
+      limit = parseInteger(searchParams.get("limit"));
+      if (limit === null || limit < 1) return badRequest("limit must be a positive integer");
+      limit = Math.min(limit, SEARCH_CONFIG.maxLimit);
     }
-    
-    const ttl = getCacheTtl(env);
+    const types = searchParams.getAll("type")
+      .flatMap(t => t.split(","))
+      .map(t => t.trim().toLowerCase())
+      .filter(Boolean);
+
+    const index = await loadSearchIndex(env, ctx);
+    const { total, hits } = searchIndex(index, { q, types, limit });
+    return json({
+      q,
+      types: types.length ? types : Object.keys(index.sources),
+      total,
+      returned: hits.length,
+      hits,
+      index: { builtAt: index.builtAt, documents: index.docs.length, sources: index.sources }
+    }, {
+      status: 200,
+      headers: { "Cache-Control": "public, max-age=60" }
+    });
+  });
+
+  // Featured selection computed from the category manifests: ?perCategory=&limit=&pin=&exclude=
+  router.add("GET", "api/v1/featured", async (req) => {
+    const parsed = parseFeaturedRules(new URL(req.url).searchParams, env);
+    if (!parsed.ok) {
+      return json({ error: "bad_request", message: parsed.message, timestamp: new Date().toISOString() }, { status: 400 });
+    }
+    const { rules } = parsed;
+
+    const { sources, unavailable } = await fetchManifestSources(Object.keys(FEATURED_CONFIG.categories), env);
+    if (!sources.length) {
+      return json({
+        error: "upstream_unavailable",
+        message: "No featured source manifest could be fetched",
+        unavailable,
+        timestamp: new Date().toISOString()
+      }, { status: 502 });
+    }
+
+    // The selection only changes when a source manifest or the rules change
+    const etag = `W/"featured-${(await sha1Hex(JSON.stringify({
+      sources: sources.map(s => [s.type, s.etag]),
+      unavailable: unavailable.map(u => u.type),
+      rules
+    }))).slice(0, 16)}"`;
+    const stale = sources.some(s => s.stale);
     const headers = {
-      // Edge caching: 10 min TTL with 1 hour stale-while-revalidate
-      "Cache-Control": `public, max-age=${ttl}, stale-while-revalidate=${CACHE_CONFIG.staleWhileRevalidateSeconds}`,
+      "Cache-Control": manifestCacheControl(getCacheTtl(env)),
       "Content-Type": "application/json; charset=utf-8",
-      "X-Cache": result.fromCache ? "HIT" : "MISS",
-      "X-Cache-Hit": result.fromCache ? "true" : "false"
+      "ETag": etag
     };
-    if (result.etag) headers["ETag"] = result.etag;
-    return json(result.data, { status: 200, headers });
+    if (stale || unavailable.length) {
+      // Partial or last-known-good input: keep client caching short so the full set is picked up
+      headers["Cache-Control"] = `public, max-age=${CACHE_CONFIG.staleRetrySeconds}, stale-if-error=${CACHE_CONFIG.staleIfErrorSeconds}`;
+      if (stale) headers["X-Stale"] = "true";
+    }
+    if (isNotModified(req, { etag })) {
+      return notModified(headers);
+    }
+
+    const body = buildFeaturedManifest(sources, rules);
+    if (unavailable.length) body.unavailable = unavailable;
+    return json(body, { status: 200, headers });
   });
-  
+
   // Cache stats endpoint
   router.add("GET", "api/v1/cache/stats", async () => {
     const uptime = Date.now() - cacheStats.lastReset;
@@ -710,6 +3842,7 @@ function buildApiRouter(env) {
       misses: cacheStats.misses,
       purges: cacheStats.purges,
       warms: cacheStats.warms,
+      staleServed: cacheStats.staleServed,
       hitRate: cacheStats.hits + cacheStats.misses > 0 
         ? ((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100).toFixed(1) + "%" 
         : "N/A",
@@ -726,11 +3859,15 @@ function buildApiRouter(env) {
     }
     const { type } = params;
     const result = await purgeManifestCache(type, env);
+    const searchIndexPurged = result.ok ? await purgeSearchIndex(env) : false;
+    const sitemapPurged = result.ok ? await purgeSitemap(env) : false;
     return json({
       success: result.ok,
       action: "purge",
       type,
       ...result,
+      searchIndexPurged,
+      sitemapPurged,
       timestamp: new Date().toISOString()
     }, { status: result.ok ? 200 : 500 });
   });
@@ -758,11 +3895,13 @@ function buildApiRouter(env) {
     }
     const { type } = params;
     const result = await warmManifestCache(type, env);
+    const search = result.ok ? await rebuildSearchIndex(env) : null;
     return json({
       success: result.ok,
       action: "warm",
       type,
       ...result,
+      ...(search ? { searchIndex: search } : {}),
       timestamp: new Date().toISOString()
     }, { status: result.ok ? 200 : 500 });
   });
@@ -774,10 +3913,12 @@ function buildApiRouter(env) {
       return json({ error: "unauthorized", message: "Invalid webhook secret" }, { status: 401 });
     }
     const result = await warmAllManifestCaches(env);
+    const search = await rebuildSearchIndex(env);
     return json({
       success: true,
       action: "warm-all",
       ...result,
+      searchIndex: search,
       timestamp: new Date().toISOString()
     });
   });
@@ -792,27 +3933,99 @@ function buildApiRouter(env) {
     const purgeResult = await purgeAllManifestCaches(env);
     // Then warm all caches
     const warmResult = await warmAllManifestCaches(env);
+    // Rebuild search and the sitemap from the freshly warmed manifests
+    const search = await rebuildSearchIndex(env);
+    const sitemap = await rebuildSitemap(env);
     return json({
       success: true,
       action: "refresh",
       purge: purgeResult,
       warm: warmResult,
+      searchIndex: search,
+      sitemap,
       timestamp: new Date().toISOString()
     });
   });
 
-  // Blog posts list
-  router.add("GET", "api/v1/blog/posts", async (_req) => {
+  // Blog posts list: published posts for everyone; ?status=draft,scheduled,archived or
+  // ?status=all lists unpublished posts for signed-in authors
+  router.add("GET", "api/v1/blog/posts", async (req) => {
+    const requested = (new URL(req.url).searchParams.get("status") || "published")
+      .split(",")
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean);
+    const statuses = requested.includes("all") ? BLOG_POST_STATUSES : requested;
+    const unknown = statuses.filter(s => !BLOG_POST_STATUSES.includes(s));
+    if (unknown.length) {
+      return json(
+        { error: "bad_request", message: `Unknown status: ${unknown.join(", ")}`, statuses: BLOG_POST_STATUSES },
+        { status: 400 }
+      );
+    }
+    const authorOnly = statuses.some(s => s !== "published");
+    if (authorOnly) {
+      const session = await getSessionFromRequest(req, env);
+      if (!session.ok) {
+        return json(session.data, { status: session.status });
+      }
+    }
     const result = await loadBlogPosts(env);
     if (!result.ok) {
       return json(result.data, { status: result.status });
     }
+    const posts = authorOnly
+      ? result.data.posts.filter(p => statuses.includes(getBlogPostStatus(p)) || (statuses.includes("published") && isBlogPostDue(p)))
+      : publicBlogPosts(result.data.posts);
     const headers = {
-      "Cache-Control": "public, max-age=3600"
+      "Cache-Control": authorOnly ? "private, no-cache" : "public, max-age=3600"
     };
-    return json(result.data, { status: 200, headers });
+    return json({ ...result.data, posts }, { status: 200, headers });
   });
 
+  // Blog feeds: feed.xml (RSS 2.0), feed.atom (Atom) and feed.json (JSON Feed 1.1)
+  // Rendered feeds are edge cached per blog posts version, which every post change bumps
+  const blogFeed = async (req, file, feed, ctx) => {
+    const origin = new URL(req.url).origin;
+    const cacheKey = blogFeedCacheKey(origin, file, await getBlogVersion(env));
+    const cached = await caches.default.match(cacheKey);
+    if (cached) {
+      const headers = new Headers(cached.headers);
+      headers.set("Cache-Control", `public, max-age=${BLOG_FEED_CONFIG.clientTtlSeconds}, must-revalidate`);
+      headers.set("X-Cache", "HIT");
+      if (isNotModified(req, { etag: headers.get("ETag") })) {
+        return notModified(headers);
+      }
+      return new Response(cached.body, { status: 200, headers });
+    }
+
+    const result = await loadBlogPosts(env);
+    if (!result.ok) {
+      return json(result.data, { status: result.status });
+    }
+    const body = renderBlogFeed(feed.format, publicBlogPosts(result.data?.posts), {
+      siteUrl: getSiteUrl(env),
+      feedUrl: `${origin}/api/v1/blog/${file}`,
+      authors: parseAuthors(env)
+    });
+    const headers = {
+      "Content-Type": feed.contentType,
+      "Cache-Control": `public, max-age=${BLOG_FEED_CONFIG.edgeTtlSeconds}`,
+      "ETag": `W/"blog-${feed.format}-${(await sha1Hex(body)).slice(0, 16)}"`
+    };
+    const store = caches.default.put(cacheKey, new Response(body, { status: 200, headers })).catch(() => null);
+    if (ctx?.waitUntil) ctx.waitUntil(store); else await store;
+
+    headers["Cache-Control"] = `public, max-age=${BLOG_FEED_CONFIG.clientTtlSeconds}, must-revalidate`;
+    headers["X-Cache"] = "MISS";
+    if (isNotModified(req, { etag: headers["ETag"] })) {
+      return notModified(headers);
+    }
+    return new Response(body, { status: 200, headers });
+  };
+  for (const [file, feed] of Object.entries(BLOG_FEED_CONFIG.formats)) {
+    router.add("GET", `api/v1/blog/${file}`, async (req, _params, _env, ctx) => blogFeed(req, file, feed, ctx));
+  }
+
   // Blog author login
   router.add("POST", "api/v1/blog/auth/login", async (req) => {
     if (!env?.MCCAL_KV) {
@@ -841,6 +4054,16 @@ function buildApiRouter(env) {
     return json({ token, author: payload }, { status: 200 });
   });
 
+  // Published posts show up in the feeds and sitemap, so both are dropped after every change
+  const purgeBlogOutputs = async () => {
+    await purgeBlogFeeds(env);
+    await purgeSitemap(env);
+  };
+  const blogSlugConflict = slug => json(
+    { error: "slug_conflict", message: `Slug already in use: ${slug}` },
+    { status: 409 }
+  );
+
   // Blog post creation
   router.add("POST", "api/v1/blog/posts", async (req) => {
     if (!env?.MCCAL_KV) {
@@ -859,47 +4082,293 @@ function buildApiRouter(env) {
     } catch (_) {
       return json({ error: "invalid_json", message: "Body must be valid JSON" }, { status: 400 });
     }
-    const title = (body?.title || "").trim();
-    const excerpt = (body?.excerpt || "").trim();
-    const content = Array.isArray(body?.content) ? body.content.map((p) => String(p)) : [];
-    const images = Array.isArray(body?.images) ? body.images : [];
-    if (!title || !excerpt || !content.length) {
-      return json(
-        { error: "bad_request", message: "title, excerpt, and content[] required" },
-        { status: 400 }
-      );
+    const parsed = parseBlogPostFields(body);
+    if (!parsed.ok) {
+      return json({ error: "bad_request", message: parsed.message }, { status: 400 });
     }
 
-    // Load existing posts (fallback to empty if upstream fails)
-    const current = await loadBlogPosts(env);
-    const data = current.ok && Array.isArray(current.data?.posts) ? current.data : { posts: [] };
+    const seeding = await ensureBlogPostsSeeded(env);
+    if (!seeding.ok) {
+      return json(seeding.data, { status: seeding.status });
+    }
+    // Posts are published straight away unless a status says otherwise
+    const { title, excerpt, body: content, images, slug, status = "published", publishAt = null } = parsed.fields;
+    if (slug && (await isBlogSlugTaken(env, slug))) {
+      return blogSlugConflict(slug);
+    }
+    // Without a slug, the title's slug numbered past the slugs already in use
+    const base = slugify(title) || "post";
+    const taken = new Set();
+    let newSlug = slug || base;
+    while (!slug && (await isBlogSlugTaken(env, newSlug))) {
+      taken.add(newSlug);
+      newSlug = uniqueBlogSlug(base, taken);
+    }
     const now = new Date();
-    const post = {
+    const settled = settleBlogPostStatus(applyBlogPostFields({
+      id: crypto.randomUUID(),
+      slug: newSlug,
       title,
       author: session.data?.name || session.data?.username || "Author",
       date: now.toISOString().split("T")[0],
+      updatedAt: now.toISOString(),
+      status,
+      publishAt,
       excerpt,
       body: content,
-      ...(images.length
-        ? {
-            images: images.map((img) => ({
-              src: String(img?.src || ""),
-              alt: String(img?.alt || ""),
-              caption: img?.caption ? String(img.caption) : undefined
-            }))
-          }
-        : {})
-    };
-    data.posts = Array.isArray(data.posts) ? data.posts : [];
-    data.posts.unshift(post);
-    await persistBlogPosts(env, data);
-    return json({ success: true, post }, { status: 201 });
+      images
+    }, {}), null, now.getTime());
+    if (!settled.ok) {
+      return json({ error: "bad_request", message: settled.message }, { status: 400 });
+    }
+    const { post } = settled;
+    await saveBlogPost(env, post);
+    await purgeBlogOutputs();
+    return json({ success: true, post }, { status: 201, headers: { "ETag": await blogPostEtag(post) } });
+  });
+
+  // Single blog post by id or slug; the ETag is what PUT/PATCH/DELETE expect in If-Match.
+  // With KV the post's own entries are read, so a post is found straight after it is written.
+  const findBlogPost = async (key, value) => {
+    let post;
+    if (env?.MCCAL_KV) {
+      const seeding = await ensureBlogPostsSeeded(env);
+      if (!seeding.ok) return seeding;
+      try {
+        post = key === "id" ? await readStoredBlogPost(env, value) : await readStoredBlogPostBySlug(env, value);
+      } catch (err) {
+        return blogStoreUnavailable(err);
+      }
+    } else {
+      const result = await loadBlogPosts(env);
+      if (!result.ok) return result;
+      post = result.data.posts.find((p) => p[key] === value);
+    }
+    if (!post) {
+      return {
+        ok: false,
+        status: 404,
+        data: { error: "post_not_found", message: `No blog post with ${key}: ${value}`, timestamp: new Date().toISOString() }
+      };
+    }
+    return { ok: true, post };
+  };
+  // Unpublished posts are only found by signed-in authors
+  const getBlogPost = async (req, key, value) => {
+    const found = await findBlogPost(key, value);
+    if (!found.ok) {
+      return json(found.data, { status: found.status });
+    }
+    const isPublic = isBlogPostPublic(found.post);
+    if (!isPublic && !(await getSessionFromRequest(req, env)).ok) {
+      return json(
+        { error: "post_not_found", message: `No blog post with ${key}: ${value}`, timestamp: new Date().toISOString() },
+        { status: 404 }
+      );
+    }
+    const headers = { "ETag": await blogPostEtag(found.post), "Cache-Control": isPublic ? "no-cache" : "private, no-cache" };
+    if (isNotModified(req, { etag: headers["ETag"] })) {
+      return notModified(headers);
+    }
+    return json({ post: found.post }, { status: 200, headers });
+  };
+  router.add("GET", "api/v1/blog/posts/by-slug/:slug", (req, params) => getBlogPost(req, "slug", params.slug));
+  router.add("GET", "api/v1/blog/posts/:id", (req, params) => getBlogPost(req, "id", params.id));
+
+  // Edits need a session and If-Match with the post's current ETag, so an author cannot
+  // overwrite a change they have not seen (412 when the post changed since it was read).
+  // Only the edited post's KV entry is written, so edits to other posts are never lost.
+  const changeBlogPost = async (req, id, change) => {
+    if (!env?.MCCAL_KV) {
+      return json(
+        { error: "kv_not_configured", message: "Blog publishing requires KV storage" },
+        { status: 501 }
+      );
+    }
+    const session = await getSessionFromRequest(req, env);
+    if (!session.ok) {
+      return json(session.data, { status: session.status });
+    }
+    const ifMatch = req.headers.get("If-Match");
+    if (!ifMatch) {
+      return json(
+        { error: "precondition_required", message: "If-Match with the post's ETag is required" },
+        { status: 428 }
+      );
+    }
+    const found = await findBlogPost("id", id);
+    if (!found.ok) {
+      return json(found.data, { status: found.status });
+    }
+    const etag = await blogPostEtag(found.post);
+    if (!ifMatchSatisfied(ifMatch, etag)) {
+      return json(
+        { error: "precondition_failed", message: "The post was changed since it was read; fetch it again", post: found.post },
+        { status: 412, headers: { "ETag": etag } }
+      );
+    }
+    const outcome = await change(found);
+    if (outcome instanceof Response) return outcome;
+    if (outcome.post) {
+      await saveBlogPost(env, outcome.post, found.post);
+    } else {
+      await removeBlogPost(env, found.post);
+    }
+    await purgeBlogOutputs();
+    if (!outcome.post) {
+      return json({ success: true, id }, { status: 200 });
+    }
+    return json({ success: true, post: outcome.post }, { status: 200, headers: { "ETag": await blogPostEtag(outcome.post) } });
+  };
+  // PUT replaces title, excerpt, content[] and images[]; PATCH changes only the fields sent.
+  // The slug only changes when `slug` is sent, so a retitled post keeps its URL.
+  const updateBlogPost = partial => (req, params) => changeBlogPost(req, params.id, async (found) => {
+    let body;
+    try {
+      body = await req.json();
+    } catch (_) {
+      return json({ error: "invalid_json", message: "Body must be valid JSON" }, { status: 400 });
+    }
+    const parsed = parseBlogPostFields(body, { partial });
+    if (!parsed.ok) {
+      return json({ error: "bad_request", message: parsed.message }, { status: 400 });
+    }
+    const { slug } = parsed.fields;
+    if (slug && slug !== found.post.slug && (await isBlogSlugTaken(env, slug, found.post.id))) {
+      return blogSlugConflict(slug);
+    }
+    const settled = settleBlogPostStatus(
+      applyBlogPostFields(found.post, { ...parsed.fields, updatedAt: new Date().toISOString() }),
+      found.post
+    );
+    if (!settled.ok) {
+      return json({ error: "bad_request", message: settled.message }, { status: 400 });
+    }
+    return { post: settled.post };
+  });
+  router.add("PUT", "api/v1/blog/posts/:id", updateBlogPost(false));
+  router.add("PATCH", "api/v1/blog/posts/:id", updateBlogPost(true));
+  router.add("DELETE", "api/v1/blog/posts/:id", (req, params) => changeBlogPost(req, params.id, async () => ({ post: null })));
+
+  // Draft previews: authors create and revoke expiring links for one post; anyone holding a
+  // valid link can read the post before it is published
+  const previewRequest = async (req, id) => {
+    if (!env?.PREVIEW_TOKEN_SECRET) {
+      return { response: json({ error: "preview_not_configured", message: "Set PREVIEW_TOKEN_SECRET to enable draft previews" }, { status: 501 }) };
+    }
+    const session = await getSessionFromRequest(req, env);
+    if (!session.ok) {
+      return { response: json(session.data, { status: session.status }) };
+    }
+    const found = await findBlogPost("id", id);
+    if (!found.ok) {
+      return { response: json(found.data, { status: found.status }) };
+    }
+    return { session, post: found.post };
+  };
+  const previewLinks = (req, preview) => ({
+    previewUrl: `${new URL(req.url).origin}/preview/blog/${preview.token}`,
+    apiUrl: `${new URL(req.url).origin}/api/v1/blog/preview/${preview.token}`
+  });
+  // Create: { expiresIn?: seconds (5 minutes to 30 days, default 7 days), note? }
+  router.add("POST", "api/v1/blog/posts/:id/previews", async (req, params) => {
+    const { response, session, post } = await previewRequest(req, params.id);
+    if (response) return response;
+    // The body is optional
+    const text = await req.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch (_) {
+      return json({ error: "invalid_json", message: "Body must be valid JSON" }, { status: 400 });
+    }
+    const ttlSeconds = body?.expiresIn === undefined ? BLOG_PREVIEW_CONFIG.defaultTtlSeconds : parseInteger(body.expiresIn);
+    if (ttlSeconds === null || ttlSeconds < BLOG_PREVIEW_CONFIG.minTtlSeconds || ttlSeconds > BLOG_PREVIEW_CONFIG.maxTtlSeconds) {
+      return json(
+        { error: "bad_request", message: `expiresIn must be a whole number between ${BLOG_PREVIEW_CONFIG.minTtlSeconds} and ${BLOG_PREVIEW_CONFIG.maxTtlSeconds} seconds` },
+        { status: 400 }
+      );
+    }
+    const preview = await issuePreviewToken(env, post, session.data, {
+      ttlSeconds,
+      note: body?.note ? String(body.note).slice(0, 200) : null
+    });
+    return json({ success: true, postId: post.id, preview: { ...preview, ...previewLinks(req, preview) } }, { status: 201 });
+  });
+  router.add("GET", "api/v1/blog/posts/:id/previews", async (req, params) => {
+    const { response, post } = await previewRequest(req, params.id);
+    if (response) return response;
+    const previews = await Promise.all((await listPreviewTokens(env, post.id)).map(async preview => {
+      const token = await buildPreviewToken(env, post.id, preview.id, preview.expiresAt);
+      return { ...preview, token, ...previewLinks(req, { token }) };
+    }));
+    return json({ postId: post.id, previews }, { status: 200, headers: { "Cache-Control": "private, no-store" } });
+  });
+  // Revoke one link, or every link of the post
+  router.add("DELETE", "api/v1/blog/posts/:id/previews/:previewId", async (req, params) => {
+    const { response, post } = await previewRequest(req, params.id);
+    if (response) return response;
+    const key = `${BLOG_PREVIEW_CONFIG.kvPrefix}${post.id}:${params.previewId}`;
+    if (!(await env.MCCAL_KV.get(key))) {
+      return json({ error: "preview_not_found", message: `No preview link with id: ${params.previewId}` }, { status: 404 });
+    }
+    await env.MCCAL_KV.delete(key);
+    return json({ success: true, revoked: [params.previewId] }, { status: 200 });
   });
+  router.add("DELETE", "api/v1/blog/posts/:id/previews", async (req, params) => {
+    const { response, post } = await previewRequest(req, params.id);
+    if (response) return response;
+    const previews = await listPreviewTokens(env, post.id);
+    await Promise.all(previews.map(p => env.MCCAL_KV.delete(`${BLOG_PREVIEW_CONFIG.kvPrefix}${post.id}:${p.id}`)));
+    return json({ success: true, revoked: previews.map(p => p.id) }, { status: 200 });
+  });
+
+  // Public preview of a post through a preview link: HTML at /preview/blog/:token, JSON at
+  // /api/v1/blog/preview/:token. Never cached or indexed; published posts redirect to their page.
+  const openPreview = async (req, token, render) => {
+    const headers = {
+      "Cache-Control": "private, no-store",
+      "X-Robots-Tag": "noindex, nofollow",
+      "Referrer-Policy": "no-referrer"
+    };
+    if (!env?.PREVIEW_TOKEN_SECRET || !env?.MCCAL_KV) {
+      return json({ error: "preview_not_configured", message: "Draft previews are not enabled" }, { status: 501, headers });
+    }
+    const verified = await verifyPreviewToken(env, token);
+    const found = verified.ok ? await findBlogPost("id", verified.postId) : null;
+    if (!found?.ok) {
+      return json(
+        { error: "preview_not_found", message: "This preview link is invalid, has expired or was revoked", timestamp: new Date().toISOString() },
+        { status: 404, headers }
+      );
+    }
+    if (isBlogPostPublic(found.post)) {
+      const location = `${getSiteUrl(env)}/blog/${encodeURIComponent(getBlogPostSlug(found.post))}`;
+      return new Response(null, { status: 302, headers: { ...headers, "Location": location } });
+    }
+    return render(found.post, verified.preview, headers);
+  };
+  router.add("GET", "preview/blog/:token", (req, params) => openPreview(req, params.token, (post, preview, headers) =>
+    new Response(renderBlogPreviewPage(post, env, preview), {
+      status: 200,
+      headers: { ...headers, "Content-Type": "text/html; charset=utf-8" }
+    })
+  ));
+  router.add("GET", "api/v1/blog/preview/:token", (req, params) => openPreview(req, params.token, (post, preview, headers) =>
+    json({ post, preview: { expiresAt: preview.expiresAt } }, { status: 200, headers })
+  ));
 
   return router;
 }
 
 export default {
+  // Cron trigger (see "triggers" in wrangler.jsonc): publish scheduled posts that are due
+  async scheduled(event, env, ctx) {
+    const run = publishDueBlogPosts(env, event?.scheduledTime || Date.now())
+      .catch(err => console.error("Scheduled blog publish failed:", err?.message));
+    if (ctx?.waitUntil) ctx.waitUntil(run); else await run;
+  },
+
   async fetch(req, env, ctx) {
     // Generate request id for observability
     let reqId = "";
@@ -920,9 +4389,9 @@ export default {
 
     const headers = corsHeaders(req, env);
     
-    // Rate limiting for manifest endpoints (skip for webhooks which have their own auth)
+    // Rate limiting for manifest and search endpoints (skip for webhooks which have their own auth)
     const url = new URL(req.url);
-    if (url.pathname.startsWith("/api/v1/manifests")) {
+    if (RATE_LIMITED_PATHS.some(p => url.pathname.startsWith(p))) {
       const rateLimit = await checkRateLimit(req, env);
       headers.set("X-RateLimit-Limit", String(rateLimit.limit || RATE_LIMIT_CONFIG.maxRequests));
       headers.set("X-RateLimit-Remaining", String(rateLimit.remaining));
@@ -957,9 +4426,9 @@ export default {
     try {
       if (match) {
         const res = await match.handler(req, match.params, env, ctx);
-        // Merge CORS headers into response
+        // Merge CORS headers into response (keeping a handler's own Vary)
         const outHeaders = new Headers(res.headers);
-        for (const [k, v] of headers) outHeaders.set(k, v);
+        for (const [k, v] of headers) k === "vary" ? outHeaders.append(k, v) : outHeaders.set(k, v);
         outHeaders.set("X-Request-Id", reqId);
         return new Response(res.body, { status: res.status || 200, headers: outHeaders });
       }